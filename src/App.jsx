@@ -1,6 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import Chart from 'chart.js/auto';
-import { MODELS, getParakeetModel, ParakeetModel } from 'parakeet.js';
+import { MODELS } from 'parakeet.js';
 import {
   fetchDatasetInfo,
   fetchDatasetRows,
@@ -9,17 +9,82 @@ import {
   normalizeDatasetRow,
 } from './utils/hfDataset';
 import {
+  OUTPUT_FLAGS,
   RUN_CSV_COLUMNS,
+  aggregateErrorRates,
+  aggregateKeywordStats,
+  alignTranscript,
+  audioRms,
+  calibrationCurve,
+  detectOutputIssues,
   flattenRunRecord,
+  labelWordCorrectness,
   mean,
+  meanRunMetric,
   median,
   normalizeText,
+  pairedComparison,
   percentile,
+  scoreKeywords,
+  scoreTranscript,
   stddev,
   summarize,
+  summarizeConfidenceIntervals,
   textSimilarity,
   toCsv,
+  topConfusions,
+  wordBoundaryShift,
 } from './utils/benchmarkStats';
+import { KEYWORD_SOURCES, deriveKeywords, parseKeywordList } from './utils/keywordLists';
+import { createWorkerModel } from './utils/workerModel';
+import { loadParakeetWithMetrics } from './utils/loadMetrics';
+import { checkMemoryGrowth, gpuBufferBytes, installGpuBufferTracker, MEMORY_SERIES, memoryRunFields, sampleMemory } from './utils/memoryTelemetry';
+import { buildSweepCells, parseThreadList, sweepCellKey, sweepCellLabel } from './utils/configSweep';
+import { STREAM_CHUNK_OPTIONS, STREAM_STRATEGIES, simulateStreaming } from './utils/streamingSim';
+import { LONG_FORM_MAX_MINUTES, concatenateClips, parseSecondsList, scoreSegments, transcribeLongForm } from './utils/longForm';
+import { MAX_THROUGHPUT_CONCURRENCY, MAX_THROUGHPUT_INSTANCES, runClosedLoop, summarizeThroughput } from './utils/throughput';
+import { EXECUTION_ORDERS, buildExecutionOrder } from './utils/executionOrder';
+import { WARMUP_MODES, runWarmups } from './utils/warmup';
+import { MIN_PRECISION_RUNS, STOP_METRICS, STOP_RULES, checkStoppingRule, describeStopOutcome, measurePrecision, precisionCheckInterval } from './utils/stoppingRules';
+import {
+  BABBLE_TALKERS,
+  DEFAULT_PERTURBATION_LEVELS,
+  PERTURBATION_KINDS,
+  applyPerturbation,
+  buildPerturbationPlan,
+  expandPerturbations,
+  perturbationKindLabel,
+  perturbationNeutral,
+  perturbationRunFields,
+  perturbationUnit,
+  summarizeByPerturbation,
+} from './utils/perturbations';
+import {
+  RESAMPLERS,
+  SOURCE_RATES,
+  TARGET_SAMPLE_RATE,
+  expandResamplers,
+  resampleAudio,
+  resampleSinc,
+  resamplerLabel,
+  sniffSampleRate,
+  summarizeByResampler,
+} from './utils/resampling';
+import {
+  buildLocalSamples,
+  entriesFromFileList,
+  findManifestFile,
+  parseManifest,
+  pickDirectoryEntries,
+  revokeLocalSamples,
+} from './utils/localDataset';
+import { buildNemoManifest, nemoSamplesFromUrlBase, parseNemoManifest } from './utils/nemoManifest';
+import {
+  DEFAULT_NORMALIZER,
+  TEXT_NORMALIZERS,
+  getTextNormalizer,
+} from './utils/textNormalizers';
+import { findDatasetLanguage, getAvailableLanguages } from './utils/speechDatasets';
 import {
   fetchModelFiles,
   getAvailableQuantModes,
@@ -27,6 +92,9 @@ import {
 } from './utils/modelSelection';
 import './App.css';
 
+// Must run before any model load so main-thread WebGPU sessions are counted from their first buffer.
+installGpuBufferTracker();
+
 const SETTINGS_KEY = 'parakeet.benchmark.settings.v1';
 const SNAPSHOTS_KEY = 'parakeet.benchmark.snapshots.v1';
 const DATASET_SPLITS_CACHE_PREFIX = 'parakeet.dataset.splits.v1:';
@@ -45,6 +113,7 @@ const MODEL_OPTIONS = Object.entries(MODELS).map(([key, config]) => ({
 const BACKENDS = ['webgpu-hybrid', 'webgpu', 'wasm'];
 const QUANTS = ['fp32', 'int8', 'fp16'];
 const PREPROCESSOR_MODEL = 'nemo128';
+const TEXT_LANGUAGES = getAvailableLanguages();
 const WARMUP_AUDIO_FALLBACK_URL = 'https://raw.githubusercontent.com/ysdede/parakeet.js/master/examples/demo/public/assets/life_Jim.wav';
 const FP16_REVISION_BY_MODEL = {
   'parakeet-tdt-0.6b-v2': 'feat/fp16-canonical-v2',
@@ -71,10 +140,23 @@ function ms(value) {
   return Number.isFinite(value) ? `${value.toFixed(1)} ms` : '-';
 }
 
+function megabytes(bytes) {
+  return Number.isFinite(bytes) ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : '-';
+}
+
 function rtfx(value) {
   return Number.isFinite(value) ? `${value.toFixed(2)}x` : '-';
 }
 
+function ciRange(range, format) {
+  if (!Array.isArray(range)) return '-';
+  return `${format(range[0])} – ${format(range[1])}`;
+}
+
+function rtfTimes(value) {
+  return Number.isFinite(value) ? `${value.toFixed(2)}×` : '-';
+}
+
 function calcRtfx(audioDurationSec, stageMs) {
   const duration = Number(audioDurationSec);
   const latencyMs = Number(stageMs);
@@ -116,19 +198,27 @@ function getWarmupAudioCandidates() {
 
 const AUDIO_CACHE_DB = 'parakeet-benchmark-cache';
 const AUDIO_CACHE_STORE = 'audio-files';
+const BATCH_PLAN_STORE = 'batch-plans';
+const BATCH_RUN_STORE = 'batch-runs';
 
 function openAudioCacheDb() {
   if (typeof indexedDB === 'undefined') {
     return Promise.reject(new Error('IndexedDB is unavailable'));
   }
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(AUDIO_CACHE_DB, 1);
+    const request = indexedDB.open(AUDIO_CACHE_DB, 2);
     request.onerror = () => reject(new Error('Failed to open IndexedDB'));
     request.onupgradeneeded = () => {
       const db = request.result;
       if (!db.objectStoreNames.contains(AUDIO_CACHE_STORE)) {
         db.createObjectStore(AUDIO_CACHE_STORE, { keyPath: 'key' });
       }
+      if (!db.objectStoreNames.contains(BATCH_PLAN_STORE)) {
+        db.createObjectStore(BATCH_PLAN_STORE, { keyPath: 'batchId' });
+      }
+      if (!db.objectStoreNames.contains(BATCH_RUN_STORE)) {
+        db.createObjectStore(BATCH_RUN_STORE, { keyPath: 'id' }).createIndex('batchId', 'batchId');
+      }
     };
     request.onsuccess = () => resolve(request.result);
   });
@@ -179,6 +269,64 @@ async function clearCachedAudioBlobs() {
   }
 }
 
+// Batch journal: the plan is written before the first run and every run as it
+// completes, so a crashed or reloaded tab can pick the batch up again.
+async function putBatchRecord(storeName, value) {
+  try {
+    const db = await openAudioCacheDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).put(value);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.warn(`Batch journal write failed: ${error?.message || error}`);
+  }
+}
+
+async function getLatestBatchPlan() {
+  try {
+    const db = await openAudioCacheDb();
+    const plans = await new Promise((resolve) => {
+      const req = db.transaction(BATCH_PLAN_STORE, 'readonly').objectStore(BATCH_PLAN_STORE).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => resolve([]);
+    });
+    return plans.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+async function getBatchRuns(batchId) {
+  try {
+    const db = await openAudioCacheDb();
+    return await new Promise((resolve) => {
+      const req = db.transaction(BATCH_RUN_STORE, 'readonly').objectStore(BATCH_RUN_STORE).index('batchId').getAll(batchId);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => resolve([]);
+    });
+  } catch {
+    return [];
+  }
+}
+
+async function clearBatchJournal() {
+  try {
+    const db = await openAudioCacheDb();
+    await new Promise((resolve) => {
+      const tx = db.transaction([BATCH_PLAN_STORE, BATCH_RUN_STORE], 'readwrite');
+      tx.objectStore(BATCH_PLAN_STORE).clear();
+      tx.objectStore(BATCH_RUN_STORE).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => resolve();
+    });
+  } catch {
+    // Nothing to resume from if the journal cannot be opened.
+  }
+}
+
 function linearFit(xArr, yArr) {
   const n = xArr.length;
   if (n < 2) return { a: 0, b: 0, r2: 0 };
@@ -273,6 +421,84 @@ function ChartCard({ title, badge, config }) {
   );
 }
 
+const TIMELINE_WAVE_HEIGHT = 72;
+const TIMELINE_LANE_HEIGHT = 26;
+
+function WordTimeline({ audio, lanes }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const styles = getComputedStyle(canvas);
+    const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 800;
+    const height = TIMELINE_WAVE_HEIGHT + lanes.length * TIMELINE_LANE_HEIGHT + 18;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    canvas.style.height = `${height}px`;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const lastWordEnd = Math.max(0, ...lanes.flatMap((lane) => lane.words.map((w) => (Number.isFinite(w.end) ? w.end : 0))));
+    const durationSec = audio ? audio.pcm.length / audio.sampleRate : lastWordEnd;
+    if (!(durationSec > 0)) return;
+    const xOf = (sec) => (sec / durationSec) * width;
+
+    if (audio) {
+      const mid = TIMELINE_WAVE_HEIGHT / 2;
+      const perPixel = Math.max(1, Math.floor(audio.pcm.length / width));
+      ctx.fillStyle = color('--accent', '#7a9fd4');
+      for (let x = 0; x < width; x += 1) {
+        let lo = 0;
+        let hi = 0;
+        const from = x * perPixel;
+        const to = Math.min(audio.pcm.length, from + perPixel);
+        for (let i = from; i < to; i += 1) {
+          const v = audio.pcm[i];
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        ctx.fillRect(x, mid - hi * mid, 1, Math.max(1, (hi - lo) * mid));
+      }
+    }
+
+    ctx.font = '11px Inter, sans-serif';
+    ctx.textBaseline = 'middle';
+    lanes.forEach((lane, laneIdx) => {
+      const top = TIMELINE_WAVE_HEIGHT + laneIdx * TIMELINE_LANE_HEIGHT + 4;
+      lane.words.forEach((word) => {
+        if (!Number.isFinite(word.start) || !Number.isFinite(word.end)) return;
+        const x = xOf(word.start);
+        const w = Math.max(2, xOf(word.end) - x);
+        const tone = word.correct === false ? '--red' : word.correct === true ? '--green' : '--purple';
+        ctx.globalAlpha = 0.28;
+        ctx.fillStyle = color(tone, '#9b9fdf');
+        ctx.fillRect(x, top, w, TIMELINE_LANE_HEIGHT - 6);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color(tone, '#9b9fdf');
+        ctx.strokeRect(x + 0.5, top + 0.5, w - 1, TIMELINE_LANE_HEIGHT - 7);
+        if (ctx.measureText(word.text).width < w - 4) {
+          ctx.fillStyle = color('--text-primary', '#f0f4fa');
+          ctx.fillText(word.text, x + 3, top + (TIMELINE_LANE_HEIGHT - 6) / 2);
+        }
+      });
+    });
+
+    const axisY = height - 8;
+    ctx.fillStyle = color('--text-muted', '#94a3b8');
+    const step = durationSec > 20 ? 5 : 1;
+    for (let t = 0; t <= durationSec; t += step) {
+      ctx.fillRect(xOf(t), axisY - 6, 1, 4);
+      ctx.fillText(`${t}s`, Math.min(xOf(t) + 2, width - 18), axisY);
+    }
+  }, [audio, lanes]);
+
+  return <canvas ref={canvasRef} className="timeline-canvas" />;
+}
+
 function loadSettings() {
   try {
     return JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
@@ -390,8 +616,77 @@ function compactRunsForStorage(runs) {
     id: run.id,
     sampleKey: run.sampleKey,
     repeatIndex: run.repeatIndex,
+    executionPosition: run.executionPosition,
     exactMatchToFirst: run.exactMatchToFirst,
     similarityToFirst: run.similarityToFirst,
+    boundaryShiftToFirstMs: run.boundaryShiftToFirstMs,
+    meanWordConfidence: run.meanWordConfidence,
+    meanTokenConfidence: run.meanTokenConfidence,
+    wer: run.wer,
+    cer: run.cer,
+    normalizer: run.normalizer,
+    normalizerOptions: run.normalizerOptions,
+    wordErrors: run.wordErrors,
+    substitutions: run.substitutions,
+    deletions: run.deletions,
+    insertions: run.insertions,
+    referenceWords: run.referenceWords,
+    charErrors: run.charErrors,
+    referenceChars: run.referenceChars,
+    keywordRecall: run.keywordRecall,
+    keywordPrecision: run.keywordPrecision,
+    keywordRefCount: run.keywordRefCount,
+    keywordRecalled: run.keywordRecalled,
+    keywordHypCount: run.keywordHypCount,
+    keywordHypCorrect: run.keywordHypCorrect,
+    outputFlags: run.outputFlags,
+    lengthRatio: run.lengthRatio,
+    wallMs: run.wallMs,
+    inferenceMode: run.inferenceMode,
+    benchmarkMode: run.benchmarkMode,
+    streamChunkSec: run.streamChunkSec,
+    streamStrategy: run.streamStrategy,
+    streamWindowSec: run.streamWindowSec,
+    chunkCount: run.chunkCount,
+    chunkLatencyMean: run.chunkLatencyMean,
+    chunkLatencyP90: run.chunkLatencyP90,
+    firstTokenLatencyMs: run.firstTokenLatencyMs,
+    maxLagMs: run.maxLagMs,
+    realtimeHeadroom: run.realtimeHeadroom,
+    peakChunkLoad: run.peakChunkLoad,
+    revisionRate: run.revisionRate,
+    streamFinalWer: run.streamFinalWer,
+    longWindowSec: run.longWindowSec,
+    longOverlapSec: run.longOverlapSec,
+    windowCount: run.windowCount,
+    windowLatencyMean: run.windowLatencyMean,
+    windowLatencyP90: run.windowLatencyP90,
+    heapPeakMb: run.heapPeakMb,
+    heapGrowthMb: run.heapGrowthMb,
+    batchId: run.batchId,
+    throughputConcurrency: run.throughputConcurrency,
+    throughputInstances: run.throughputInstances,
+    instanceIndex: run.instanceIndex,
+    queueMs: run.queueMs,
+    latencyMs: run.latencyMs,
+    batchEndMs: run.batchEndMs,
+    memHeapBeforeMb: run.memHeapBeforeMb,
+    memHeapAfterMb: run.memHeapAfterMb,
+    memGpuBeforeMb: run.memGpuBeforeMb,
+    memGpuAfterMb: run.memGpuAfterMb,
+    memAgentBeforeMb: run.memAgentBeforeMb,
+    memAgentAfterMb: run.memAgentAfterMb,
+    warmupMode: run.warmupMode,
+    warmupCount: run.warmupCount,
+    warmupConverged: run.warmupConverged,
+    warmupFinalCv: run.warmupFinalCv,
+    perturbationId: run.perturbationId,
+    perturbationKind: run.perturbationKind,
+    perturbationLevel: run.perturbationLevel,
+    perturbationLabel: run.perturbationLabel,
+    resampler: run.resampler,
+    sourceSampleRate: run.sourceSampleRate,
+    resampleMs: run.resampleMs,
     audioDurationSec: run.audioDurationSec,
     metrics: run.metrics ? {
       preprocess_ms: run.metrics.preprocess_ms,
@@ -408,6 +703,179 @@ function compactRunsForStorage(runs) {
   }));
 }
 
+function meanOf(runs, field) {
+  const values = runs.map((r) => r[field]).filter(Number.isFinite);
+  return values.length ? mean(values) : null;
+}
+
+// Streaming fields are absent on offline runs, so these stay null for offline snapshots.
+function summarizeStreaming(good) {
+  return {
+    firstTokenMean: meanOf(good, 'firstTokenLatencyMs'),
+    chunkLatencyMean: meanOf(good, 'chunkLatencyMean'),
+    chunkLatencyP90Mean: meanOf(good, 'chunkLatencyP90'),
+    realtimeHeadroomMean: meanOf(good, 'realtimeHeadroom'),
+    maxLagMean: meanOf(good, 'maxLagMs'),
+    revisionRateMean: meanOf(good, 'revisionRate'),
+    streamFinalWerMean: meanOf(good, 'streamFinalWer'),
+    windowLatencyP90Mean: meanOf(good, 'windowLatencyP90'),
+    heapPeakMbMax: good.some((r) => Number.isFinite(r.heapPeakMb)) ? Math.max(...good.map((r) => r.heapPeakMb).filter(Number.isFinite)) : null,
+  };
+}
+
+// Warmup outcome of the sample (or instance) a run belongs to; the timings feed the convergence chart.
+function warmupRunFields(warmup) {
+  if (!warmup) return {};
+  return {
+    warmupMode: warmup.mode,
+    warmupCount: warmup.count,
+    warmupConverged: warmup.converged,
+    warmupFinalCv: warmup.finalCv,
+    warmupTimings: warmup.timings,
+  };
+}
+
+// Throughput runs warm up per model instance, everything else per sample.
+function warmupKey(run) {
+  return run.benchmarkMode === 'throughput' ? `${run.batchId}|instance ${run.instanceIndex + 1}` : `${run.batchId}|${run.sampleKey}`;
+}
+
+// One entry per warmed-up sample or instance, not per run, so repeats do not weight it.
+function warmedUpRuns(good) {
+  const byKey = new Map();
+  good.forEach((r) => {
+    if (Number.isFinite(r.warmupCount) && !byKey.has(warmupKey(r))) byKey.set(warmupKey(r), r);
+  });
+  return Array.from(byKey.values());
+}
+
+function summarizeWarmup(good) {
+  const warmed = warmedUpRuns(good);
+  const adaptive = warmed.filter((r) => r.warmupMode === 'adaptive');
+  return {
+    warmupCountMean: warmed.length ? mean(warmed.map((r) => r.warmupCount)) : null,
+    warmupConvergedRate: adaptive.length ? adaptive.filter((r) => r.warmupConverged).length / adaptive.length : null,
+  };
+}
+
+// WER change of each perturbation against the clean runs of the same batch set.
+function summarizePerturbations(good) {
+  const deltas = summarizeByPerturbation(good)
+    .filter((row) => row.kind !== 'clean' && Number.isFinite(row.werDelta))
+    .map((row) => row.werDelta);
+  return {
+    perturbedWerDeltaMean: deltas.length ? mean(deltas) : null,
+    perturbedWerDeltaMax: deltas.length ? Math.max(...deltas) : null,
+  };
+}
+
+function summarizeResampling(good) {
+  const timed = good.map((r) => r.resampleMs).filter(Number.isFinite);
+  return { resampleMean: timed.length ? mean(timed) : null };
+}
+
+function summarizeMemory(good) {
+  const maxOf = (field) => (good.some((r) => Number.isFinite(r[field])) ? Math.max(...good.map((r) => r[field]).filter(Number.isFinite)) : null);
+  return {
+    memHeapAfterMbMax: maxOf('memHeapAfterMb'),
+    memGpuAfterMbMax: maxOf('memGpuAfterMb'),
+    memoryGrowthFlags: checkMemoryGrowth(good).filter((check) => check.flagged).length,
+  };
+}
+
+function summarizeLoad(good) {
+  const load = summarizeThroughput(good);
+  return {
+    throughputAudioPerSec: load?.audioPerWallSec ?? null,
+    throughputRequestsPerSec: load?.requestsPerSec ?? null,
+    throughputLatencyP90: load?.latencyP90 ?? null,
+    throughputLatencyP99: load?.latencyP99 ?? null,
+    queueMean: load?.queueMean ?? null,
+  };
+}
+
+// Which rule ended the batch behind a snapshot, and the CI half-width it reached.
+function summarizeStopping(stopping) {
+  return {
+    stopRule: stopping?.rule ?? null,
+    stopReason: stopping?.reason ?? null,
+    stopHalfWidth: stopping?.precision?.halfWidth ?? null,
+  };
+}
+
+// Cold-start figures of the load that produced a snapshot, flattened for Compare and Pivot.
+function summarizeColdStart(loadMetrics) {
+  return {
+    coldStartMs: loadMetrics?.coldStartMs ?? null,
+    fetchMs: loadMetrics?.fetchMs ?? null,
+    sessionMs: loadMetrics?.sessionMs ?? null,
+    firstInferenceMs: loadMetrics?.firstInferenceMs ?? null,
+  };
+}
+
+function summarizeRuns(runs) {
+  const good = runs.filter((r) => !r.error && r.metrics && Number.isFinite(r.metrics.total_ms));
+  const exactValues = good.map((r) => r.exactMatchToFirst).filter((v) => typeof v === 'boolean');
+  const simValues = good.map((r) => r.similarityToFirst).filter(Number.isFinite);
+  const shiftValues = good.map((r) => r.boundaryShiftToFirstMs).filter(Number.isFinite);
+  const preprocessMean = mean(good.map((r) => r.metrics?.preprocess_ms).filter(Number.isFinite));
+  const encodeMean = mean(good.map((r) => r.metrics?.encode_ms).filter(Number.isFinite));
+  const decodeMean = mean(good.map((r) => r.metrics?.decode_ms).filter(Number.isFinite));
+  const tokenizeMean = mean(good.map((r) => r.metrics?.tokenize_ms).filter(Number.isFinite));
+  const totalMean = mean(good.map((r) => r.metrics?.total_ms).filter(Number.isFinite));
+  const totalMedian = median(good.map((r) => r.metrics?.total_ms).filter(Number.isFinite));
+  const wallValues = good.map((r) => r.wallMs).filter(Number.isFinite);
+  const decodeValues = good.map((r) => r.metrics?.decode_ms).filter(Number.isFinite);
+  const rtfMedian = summarize(good.map((r) => r.metrics?.rtf).filter(Number.isFinite)).median;
+  const encodeRtfxSummary = summarize(good.map((r) => calcRtfx(r.audioDurationSec, r.metrics?.encode_ms)).filter(Number.isFinite));
+  const decodeRtfxSummary = summarize(good.map((r) => calcRtfx(r.audioDurationSec, r.metrics?.decode_ms)).filter(Number.isFinite));
+  const errorRates = aggregateErrorRates(good);
+  const keywordRates = aggregateKeywordStats(good);
+  const flagged = good.filter((r) => r.outputFlags?.length).length;
+  return {
+    runCount: good.length,
+    errorCount: runs.length - good.length,
+    preprocessMean,
+    encodeMean,
+    decodeMean,
+    tokenizeMean,
+    totalMean,
+    totalMedian,
+    wallMean: wallValues.length ? mean(wallValues) : null,
+    decodeStd: decodeValues.length ? stddev(decodeValues) : null,
+    rtfMedian,
+    encodeRtfxMedian: encodeRtfxSummary.median,
+    decodeRtfxMedian: decodeRtfxSummary.median,
+    encodeRtfxStd: encodeRtfxSummary.stddev,
+    decodeRtfxStd: decodeRtfxSummary.stddev,
+    exactRate: exactValues.length ? exactValues.filter(Boolean).length / exactValues.length : null,
+    similarityMean: simValues.length ? mean(simValues) : null,
+    boundaryShiftMean: shiftValues.length ? mean(shiftValues) : null,
+    wer: errorRates.wer,
+    cer: errorRates.cer,
+    keywordRecall: keywordRates.keywordRecall,
+    keywordPrecision: keywordRates.keywordPrecision,
+    flaggedRate: good.length ? flagged / good.length : null,
+    ...summarizeStreaming(good),
+    ...summarizeLoad(good),
+    ...summarizeMemory(good),
+    ...summarizeWarmup(good),
+    ...summarizePerturbations(good),
+    ...summarizeResampling(good),
+    ...summarizeConfidenceIntervals(good),
+    preprocessShare: Number.isFinite(preprocessMean) && Number.isFinite(totalMean) && totalMean > 0 ? preprocessMean / totalMean : null,
+    decodeShare: Number.isFinite(decodeMean) && Number.isFinite(totalMean) && totalMean > 0 ? decodeMean / totalMean : null,
+  };
+}
+
+function describeBenchmarkMode(snapshot) {
+  const settings = snapshot.settings || {};
+  if (settings.benchmarkMode === 'streaming') return `streaming ${settings.streamStrategy || 'growing'} ${settings.streamChunkSec ?? '-'}s`;
+  if (settings.benchmarkMode === 'throughput') return `throughput N:${settings.throughputLevels || '-'} K:${settings.throughputInstances ?? 1}`;
+  if (settings.benchmarkMode === 'longform') return `long-form w:${settings.longWindows || '-'} o:${settings.longOverlapSec ?? '-'}s`;
+  return 'offline';
+}
+
 function formatGpuLabel(profile) {
   if (!profile) return '-';
   const gpuDesc = profile.webgpu?.info?.description || profile.webgpu?.info?.device;
@@ -552,26 +1020,74 @@ export default function App() {
   const [preprocessorBackend, setPreprocessorBackend] = useState(saved.preprocessorBackend || 'onnx');
   const [cpuThreads, setCpuThreads] = useState(clamp(saved.cpuThreads, Math.max(1, (navigator.hardwareConcurrency || 4) - 1), 1, 64));
   const [enableProfiling, setEnableProfiling] = useState(saved.enableProfiling !== false);
+  const [inferenceMode, setInferenceMode] = useState(saved.inferenceMode === 'worker' ? 'worker' : 'main');
+  const [benchmarkMode, setBenchmarkMode] = useState(['streaming', 'longform', 'throughput'].includes(saved.benchmarkMode) ? saved.benchmarkMode : 'offline');
+  const [streamChunkSec, setStreamChunkSec] = useState(STREAM_CHUNK_OPTIONS.includes(saved.streamChunkSec) ? saved.streamChunkSec : 1);
+  const [streamStrategy, setStreamStrategy] = useState(saved.streamStrategy || 'growing');
+  const [streamWindowSec, setStreamWindowSec] = useState(clamp(saved.streamWindowSec, 8, 2, 60));
+  const [streamRealtime, setStreamRealtime] = useState(saved.streamRealtime === true);
+  const [longWindows, setLongWindows] = useState(saved.longWindows ?? '15, 30, 60');
+  const [longOverlapSec, setLongOverlapSec] = useState(clamp(saved.longOverlapSec, 2, 0, 30));
+  const [longTargetMin, setLongTargetMin] = useState(clamp(saved.longTargetMin, 5, 0, LONG_FORM_MAX_MINUTES));
+  const [longFile, setLongFile] = useState(null);
+  const [throughputLevels, setThroughputLevels] = useState(saved.throughputLevels ?? '1, 2, 4');
+  const [throughputInstances, setThroughputInstances] = useState(clamp(saved.throughputInstances, 1, 1, MAX_THROUGHPUT_INSTANCES));
+  const [longFileReference, setLongFileReference] = useState('');
 
   const [datasetId, setDatasetId] = useState(saved.datasetId || 'ysdede/parrot-radiology-asr-en');
   const [datasetConfig, setDatasetConfig] = useState(saved.datasetConfig || 'default');
   const [datasetSplit, setDatasetSplit] = useState(saved.datasetSplit || 'train');
+  const [manifestBaseUrl, setManifestBaseUrl] = useState(saved.manifestBaseUrl || '');
   const [offset, setOffset] = useState(clamp(saved.offset, 0, 0, 1_000_000));
   const [sampleCount, setSampleCount] = useState(clamp(saved.sampleCount, 6, 1, MAX_SAMPLE_COUNT));
   const [repeatCount, setRepeatCount] = useState(clamp(saved.repeatCount, 5, 1, 100));
   const [warmups, setWarmups] = useState(clamp(saved.warmups, 1, 0, 10));
+  const [warmupMode, setWarmupMode] = useState(saved.warmupMode === 'adaptive' ? 'adaptive' : 'fixed');
+  const [warmupWindow, setWarmupWindow] = useState(clamp(saved.warmupWindow, 3, 2, 10));
+  const [warmupCvPct, setWarmupCvPct] = useState(clamp(saved.warmupCvPct, 5, 0.1, 50));
+  const [warmupMax, setWarmupMax] = useState(clamp(saved.warmupMax, 10, 1, 50));
   const [randomize, setRandomize] = useState(saved.randomize !== false);
   const [randomSeed, setRandomSeed] = useState(saved.randomSeed ?? '42');
+  const [executionOrder, setExecutionOrder] = useState(saved.executionOrder || 'sequential');
+  const [orderSeed, setOrderSeed] = useState(saved.orderSeed ?? '1');
+  const [memoryPrecise, setMemoryPrecise] = useState(saved.memoryPrecise === true);
+  const [stopRule, setStopRule] = useState(STOP_RULES.some((rule) => rule.key === saved.stopRule) ? saved.stopRule : 'fixed');
+  const [stopBudgetMin, setStopBudgetMin] = useState(clamp(saved.stopBudgetMin, 10, 0.5, 240));
+  const [stopMetric, setStopMetric] = useState(saved.stopMetric === 'wer' ? 'wer' : 'total');
+  const [stopHalfWidthPct, setStopHalfWidthPct] = useState(clamp(saved.stopHalfWidthPct, 5, 0.1, 50));
+  const [stopMaxRuns, setStopMaxRuns] = useState(clamp(saved.stopMaxRuns, 200, 10, 5000));
+  const [perturbEnabled, setPerturbEnabled] = useState(saved.perturbEnabled === true);
+  const [perturbLevels, setPerturbLevels] = useState({ ...DEFAULT_PERTURBATION_LEVELS, ...(saved.perturbLevels || {}) });
+  const [resamplers, setResamplers] = useState(() => {
+    const known = (Array.isArray(saved.resamplers) ? saved.resamplers : []).filter((key) => RESAMPLERS.some((item) => item.key === key));
+    return known.length ? known : ['decoder'];
+  });
+  const [sourceRate, setSourceRate] = useState(SOURCE_RATES.some((item) => item.key === saved.sourceRate) ? saved.sourceRate : 'native');
+  const [lastStop, setLastStop] = useState(null);
+  const [robustnessKind, setRobustnessKind] = useState('');
+  const [scoringNormalizer, setScoringNormalizer] = useState(saved.scoringNormalizer || DEFAULT_NORMALIZER);
+  const [textLanguage, setTextLanguage] = useState(saved.textLanguage || 'auto');
+  const [stripDiacritics, setStripDiacritics] = useState(saved.stripDiacritics === true);
+  const [keywordSource, setKeywordSource] = useState(saved.keywordSource || 'off');
+  const [keywordList, setKeywordList] = useState(Array.isArray(saved.keywordList) ? saved.keywordList : []);
+  const [sweepValues, setSweepValues] = useState(saved.sweepValues || {});
+  const [sweepThreads, setSweepThreads] = useState(saved.sweepThreads ?? '');
+  const [sweepSkipped, setSweepSkipped] = useState([]);
+  const [showSweep, setShowSweep] = useState(false);
 
   const [configs, setConfigs] = useState(['default']);
   const [splits, setSplits] = useState(['train', 'validation', 'test']);
   const [splitCounts, setSplitCounts] = useState({});
   const [features, setFeatures] = useState([]);
   const [preparedSamples, setPreparedSamples] = useState([]);
+  // Folder + manifest picked from disk, or a NeMo manifest whose audio is served from
+  // manifestBaseUrl (kind 'url'). Blob URLs do not survive a reload, so it is not persisted.
+  const [localDataset, setLocalDataset] = useState(null);
 
   const [modelStatus, setModelStatus] = useState('Model not loaded');
   const [modelProgress, setModelProgress] = useState('');
   const [resolvedModelInfo, setResolvedModelInfo] = useState('');
+  const [loadMetrics, setLoadMetrics] = useState(null);
   const [datasetStatus, setDatasetStatus] = useState('Idle');
   const [benchStatus, setBenchStatus] = useState('No runs yet');
 
@@ -582,6 +1098,8 @@ export default function App() {
 
   const [progress, setProgress] = useState({ current: 0, total: 0, stage: '' });
   const [runs, setRuns] = useState([]);
+  const [resumableBatch, setResumableBatch] = useState(null);
+  const [resumeRequest, setResumeRequest] = useState(null);
   const [snapshotName, setSnapshotName] = useState('');
   const [snapshots, setSnapshots] = useState(loadSnapshots());
   const [compareAId, setCompareAId] = useState('');
@@ -589,11 +1107,19 @@ export default function App() {
   const [selectedSnapshotIds, setSelectedSnapshotIds] = useState([]);
   const [selectedCompareParams, setSelectedCompareParams] = useState(['decode']);
   const [showPreparedSamples, setShowPreparedSamples] = useState(false);
+  const [selectedRunId, setSelectedRunId] = useState('');
+  const [selectedRunAudio, setSelectedRunAudio] = useState(null);
+  const [runFilter, setRunFilter] = useState('all');
   const [activeTab, setActiveTab] = useState('benchmark');
   const [theme, setTheme] = useState(() => localStorage.getItem('parakeet-theme') || 'dark');
   const [pivotGroupBy, setPivotGroupBy] = useState('quant');
   const [pivotMetrics, setPivotMetrics] = useState(['totalMean', 'encodeMean', 'decodeMean', 'rtfMedian']);
   const fileInputRef = useRef(null);
+  const keywordFileRef = useRef(null);
+  const longFileRef = useRef(null);
+  const localFolderRef = useRef(null);
+  const localFilesRef = useRef(null);
+  const nemoManifestRef = useRef(null);
   const [hardwareProfile, setHardwareProfile] = useState(null);
   const [hardwareStatus, setHardwareStatus] = useState('');
   const [isLoadingHardware, setIsLoadingHardware] = useState(false);
@@ -601,6 +1127,10 @@ export default function App() {
   const [decoderQuantOptions, setDecoderQuantOptions] = useState(QUANTS);
 
   const modelRef = useRef(null);
+  // Read by buildSnapshot, which runs inside sweeps before React re-renders.
+  const loadMetricsRef = useRef(null);
+  // Outcome of the latest per-sample batch, for buildSnapshot in the same tick as the batch ends.
+  const lastStopRef = useRef(null);
   const releaseQueueRef = useRef(Promise.resolve());
   const stopRef = useRef(false);
   const audioCacheRef = useRef(new Map());
@@ -615,6 +1145,10 @@ export default function App() {
 
   async function releaseModelResources(model) {
     if (!model) return;
+    if (model.isWorker) {
+      await model.release().catch(() => { });
+      return;
+    }
     try { model.stopProfiling?.(); } catch { }
     const releasables = [
       model.encoderSession,
@@ -651,17 +1185,80 @@ export default function App() {
       preprocessorBackend,
       cpuThreads,
       enableProfiling,
+      inferenceMode,
+      benchmarkMode,
+      streamChunkSec,
+      streamStrategy,
+      streamWindowSec,
+      streamRealtime,
+      longWindows,
+      longOverlapSec,
+      longTargetMin,
+      throughputLevels,
+      throughputInstances,
       datasetId,
       datasetConfig,
       datasetSplit,
+      manifestBaseUrl,
       offset,
       sampleCount,
       repeatCount,
       warmups,
+      warmupMode,
+      warmupWindow,
+      warmupCvPct,
+      warmupMax,
       randomize,
       randomSeed,
+      executionOrder,
+      orderSeed,
+      memoryPrecise,
+      stopRule,
+      stopBudgetMin,
+      stopMetric,
+      stopHalfWidthPct,
+      stopMaxRuns,
+      perturbEnabled,
+      perturbLevels,
+      resamplers,
+      sourceRate,
+      scoringNormalizer,
+      textLanguage,
+      stripDiacritics,
+      keywordSource,
+      keywordList,
+      sweepValues,
+      sweepThreads,
     }));
-  }, [modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads, enableProfiling, datasetId, datasetConfig, datasetSplit, offset, sampleCount, repeatCount, warmups, randomize, randomSeed]);
+  }, [modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads, enableProfiling, inferenceMode, benchmarkMode, streamChunkSec, streamStrategy, streamWindowSec, streamRealtime, longWindows, longOverlapSec, longTargetMin, throughputLevels, throughputInstances, datasetId, datasetConfig, datasetSplit, manifestBaseUrl, offset, sampleCount, repeatCount, warmups, warmupMode, warmupWindow, warmupCvPct, warmupMax, randomize, randomSeed, executionOrder, orderSeed, memoryPrecise, stopRule, stopBudgetMin, stopMetric, stopHalfWidthPct, stopMaxRuns, perturbEnabled, perturbLevels, resamplers, sourceRate, scoringNormalizer, textLanguage, stripDiacritics, keywordSource, keywordList, sweepValues, sweepThreads]);
+
+  // "auto" follows the dataset so multilingual LibriSpeech configs get their own locale rules.
+  const textOptions = useMemo(() => ({
+    language: textLanguage === 'auto' ? (findDatasetLanguage(datasetId, datasetConfig) || '') : textLanguage,
+    stripDiacritics,
+  }), [textLanguage, stripDiacritics, datasetId, datasetConfig]);
+
+  // Local samples get their own key prefix so they never pair up with a hub split's rows.
+  // Local keys carry the folder or manifest name so different local sets never pair up.
+  const sampleSplit = localDataset ? `local/${localDataset.name}` : datasetSplit;
+
+  const perturbationPlan = useMemo(() => (perturbEnabled ? buildPerturbationPlan(perturbLevels) : []), [perturbEnabled, perturbLevels]);
+
+  function resolveKeywordTerms(samples) {
+    if (keywordSource === 'uploaded') return keywordList;
+    if (keywordSource === 'derived') {
+      return deriveKeywords(samples.map((sample) => sample.referenceText), {
+        normalize: getTextNormalizer(scoringNormalizer, textOptions),
+      });
+    }
+    return [];
+  }
+
+  const keywordPreview = useMemo(
+    () => resolveKeywordTerms(preparedSamples),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [keywordSource, keywordList, preparedSamples, scoringNormalizer, textOptions]
+  );
 
   useEffect(() => {
     // Changing model/runtime parameters invalidates the previously loaded model.
@@ -670,7 +1267,7 @@ export default function App() {
     void queueModelRelease(previousModel);
     setIsModelReady(false);
     setResolvedModelInfo('');
-  }, [modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads]);
+  }, [modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads, inferenceMode]);
 
   useEffect(() => () => {
     const model = modelRef.current;
@@ -798,7 +1395,24 @@ export default function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Offset, sample count and seeded randomisation apply to a local manifest as they do to a hub split.
+  function selectLocalRows(rows, name) {
+    const requested = clamp(sampleCount, 6, 1, MAX_SAMPLE_COUNT);
+    const pool = rows.slice(Math.max(0, Number(offset) || 0));
+    const seedText = normalizeSeedText(randomSeed);
+    const chosen = randomize
+      ? pickUniqueRandomIndices(pool.length, requested, seedText ? `${seedText}|local|${name}|${offset}|${requested}` : null).map((idx) => pool[idx])
+      : pool.slice(0, requested);
+    setPreparedSamples(chosen);
+    setDatasetStatus(`Prepared ${chosen.length}/${rows.length} local samples from ${name}${randomize ? ` (seed: ${String(randomSeed) || 'random'})` : ''}`);
+    return chosen;
+  }
+
   async function prepareSampleRows() {
+    if (localDataset) {
+      if (!localDataset.samples.length) throw new Error('The local manifest matched no audio files.');
+      return selectLocalRows(localDataset.samples, localDataset.name);
+    }
     const requested = clamp(sampleCount, 6, 1, MAX_SAMPLE_COUNT);
     setDatasetStatus('Preparing sample rows (user pipeline simulation)...');
 
@@ -907,24 +1521,28 @@ export default function App() {
     }
   }
 
-  async function decodeAudio(url) {
+  // The blob store holds the undecoded file, so both decode paths share it. Local files
+  // stay out of it: they are on disk already, and their blob URLs die with the page.
+  async function loadAudioBytes(url, persist) {
     const key = `${url}::16000`;
-    if (audioCacheRef.current.has(key)) {
-      return audioCacheRef.current.get(key);
-    }
+    const store = persist && !url.startsWith('blob:');
+    const cachedBlob = store ? await getCachedAudioBlob(key) : null;
+    if (cachedBlob) return cachedBlob.arrayBuffer();
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Audio fetch failed (${res.status})`);
+    const blob = await res.blob();
+    if (store) await putCachedAudioBlob(key, blob);
+    return blob.arrayBuffer();
+  }
 
-    let audioData = null;
-    const cachedBlob = await getCachedAudioBlob(key);
-    if (cachedBlob) {
-      audioData = await cachedBlob.arrayBuffer();
-    } else {
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`Audio fetch failed (${res.status})`);
-      const blob = await res.blob();
-      audioData = await blob.arrayBuffer();
-      await putCachedAudioBlob(key, blob);
+  // persist: false skips both caches, for one-off uploads too large to keep around.
+  async function decodeAudio(url, { persist = true } = {}) {
+    const key = `${url}::16000`;
+    if (persist && audioCacheRef.current.has(key)) {
+      return audioCacheRef.current.get(key);
     }
 
+    const audioData = await loadAudioBytes(url, persist);
     const ctx = new AudioContext({ sampleRate: 16000 });
     try {
       const decoded = await ctx.decodeAudioData(audioData.slice(0));
@@ -936,6 +1554,39 @@ export default function App() {
         sampleRate: 16000,
         durationSec: pcm.length / 16000,
       };
+      if (persist) audioCacheRef.current.set(key, result);
+      return result;
+    } finally {
+      await ctx.close();
+    }
+  }
+
+  /**
+   * Decodes at the file's own rate, read from its header, so resampling can
+   * be timed as a stage of its own. Formats without a readable header fall
+   * back to the browser's default rate, which is already a resample. A fixed
+   * `sourceRate` converts the clip to that rate first (sinc, untimed), to
+   * stand in for recordings made at it.
+   */
+  async function decodeNativeAudio(url, sourceRate = 'native') {
+    const key = `${url}::native::${sourceRate}`;
+    if (audioCacheRef.current.has(key)) return audioCacheRef.current.get(key);
+
+    const audioData = await loadAudioBytes(url, true);
+    const headerRate = sniffSampleRate(audioData);
+    const ctx = headerRate ? new AudioContext({ sampleRate: headerRate }) : new AudioContext();
+    try {
+      const decoded = await ctx.decodeAudioData(audioData.slice(0));
+      let pcm = decoded.getChannelData(0).slice();
+      let { sampleRate } = decoded;
+      let rateFrom = headerRate ? 'header' : 'context';
+      const simulated = Number(sourceRate);
+      if (Number.isFinite(simulated) && simulated !== sampleRate) {
+        pcm = resampleSinc(pcm, sampleRate, simulated);
+        sampleRate = simulated;
+        rateFrom = 'simulated';
+      }
+      const result = { pcm, sampleRate, durationSec: pcm.length / sampleRate, rateFrom };
       audioCacheRef.current.set(key, result);
       return result;
     } finally {
@@ -943,8 +1594,14 @@ export default function App() {
     }
   }
 
+  /**
+   * Transcribes the reference clip and checks the phrase. The clip is then
+   * transcribed once more so the first (cold) inference can be set against a
+   * warm one on identical input.
+   */
   async function verifyModel(model) {
     const expectedText = 'it is not life as we know or understand it';
+    const verifyStart = performance.now();
     let sample = null;
     let lastError = null;
     const warmupSources = getWarmupAudioCandidates();
@@ -959,83 +1616,153 @@ export default function App() {
     if (!sample) {
       throw lastError || new Error('Warmup audio could not be loaded');
     }
-    const result = await model.transcribe(sample.pcm, sample.sampleRate, {
-      enableProfiling: false,
-      returnConfidences: false,
-      returnTimestamps: false,
-    });
+    const runReference = () => (model.isWorker
+      ? model.verify(sample.pcm, sample.sampleRate)
+      : model.transcribe(sample.pcm, sample.sampleRate, {
+        enableProfiling: false,
+        returnConfidences: false,
+        returnTimestamps: false,
+      }));
+
+    const inferenceStart = performance.now();
+    const result = await runReference();
+    const firstInferenceMs = performance.now() - inferenceStart;
 
     const got = normalizeText(result?.utterance_text || '');
     const expected = normalizeText(expectedText);
     if (!got.includes(expected)) {
       throw new Error(`Verification mismatch. Expected phrase not found. Got: "${result?.utterance_text || ''}"`);
     }
+    const verifyMs = performance.now() - verifyStart;
+
+    const steadyStart = performance.now();
+    await runReference();
+    return {
+      verifyMs,
+      referenceAudioSec: sample.durationSec,
+      firstInferenceMs,
+      steadyInferenceMs: performance.now() - steadyStart,
+    };
+  }
+
+  // `report` gets a stage label such as "warmup 2/3" or "warmup 4 (max 10)".
+  function runWarmupPolicy(pass, report) {
+    return runWarmups(pass, {
+      mode: warmupMode,
+      count: warmups,
+      window: warmupWindow,
+      cvThreshold: warmupCvPct / 100,
+      maxCount: warmupMax,
+      shouldStop: () => stopRef.current,
+      onPass: (n, limit) => report(warmupMode === 'adaptive' ? `warmup ${n} (max ${limit})` : `warmup ${n}/${limit}`),
+    });
+  }
+
+  // A worker model's GPU buffers live in the worker realm, so ask it for the count.
+  async function sampleRunMemory(model) {
+    const gpuBytes = model?.isWorker
+      ? (await model.memory().catch(() => null))?.gpuBytes
+      : gpuBufferBytes();
+    return sampleMemory({ gpuBytes, precise: memoryPrecise });
+  }
+
+  function currentModelConfig() {
+    return { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads };
+  }
+
+  // Builds a model (main thread or worker) without touching the UI state or modelRef.
+  async function createModelInstance(config, progress) {
+    const { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads } = config;
+    const options = {
+      backend,
+      encoderQuant,
+      decoderQuant,
+      revision: getFp16Revision(modelKey),
+      preprocessor: PREPROCESSOR_MODEL,
+      preprocessorBackend,
+      cpuThreads,
+      verbose: false,
+    };
+
+    if (inferenceMode === 'worker') {
+      const workerModel = createWorkerModel();
+      try {
+        const hub = await workerModel.load(modelKey, options, progress);
+        return { model: workerModel, hub, revision: options.revision, loadMetrics: hub?.loadMetrics || null };
+      } catch (error) {
+        await queueModelRelease(workerModel);
+        throw error;
+      }
+    }
+
+    const { model, hub, loadMetrics } = await loadParakeetWithMetrics(modelKey, options, progress);
+    return { model, hub, revision: options.revision, loadMetrics };
   }
 
-  async function loadModel() {
+  async function loadModel(config = currentModelConfig()) {
+    const { backend } = config;
     setIsLoadingModel(true);
     setModelStatus('Loading model...');
     setIsModelReady(false);
     setModelProgress('');
     setResolvedModelInfo('');
+    loadMetricsRef.current = null;
+    setLoadMetrics(null);
 
     try {
       const previousModel = modelRef.current;
       modelRef.current = null;
       await queueModelRelease(previousModel);
 
-      const baseOptions = {
-        backend,
-        encoderQuant,
-        decoderQuant,
-        revision: getFp16Revision(modelKey),
-        preprocessor: PREPROCESSOR_MODEL,
-        preprocessorBackend,
-        cpuThreads,
-        verbose: false,
-        progress: ({ file, loaded, total }) => {
-          if (!total) {
-            setModelProgress(file || 'Downloading...');
-            return;
-          }
-          setModelProgress(`${file}: ${Math.round((loaded / total) * 100)}%`);
-        },
-      };
-
-      const hub = await getParakeetModel(modelKey, baseOptions);
-      modelRef.current = await ParakeetModel.fromUrls({
-        ...hub.urls,
-        filenames: hub.filenames,
-        preprocessorBackend: hub.preprocessorBackend,
-        backend,
-        cpuThreads,
-        verbose: false,
+      const loadStart = performance.now();
+      const { model, hub, revision, loadMetrics: phases } = await createModelInstance(config, ({ file, loaded, total }) => {
+        if (!total) {
+          setModelProgress(file || 'Downloading...');
+          return;
+        }
+        setModelProgress(`${file}: ${Math.round((loaded / total) * 100)}%`);
       });
+      const instanceMs = performance.now() - loadStart;
+      modelRef.current = model;
 
       const resolvedQuant = hub?.quantisation
         ? `resolved e:${hub.quantisation.encoder} d:${hub.quantisation.decoder}`
         : '';
-      const resolvedRevision = baseOptions.revision ? `revision:${baseOptions.revision}` : '';
+      const resolvedRevision = revision ? `revision:${revision}` : '';
       const loadedFiles = hub?.filenames
         ? `${hub.filenames.encoder}, ${hub.filenames.decoder}`
         : '';
       const backendHint = backend.startsWith('webgpu')
         ? 'decoder executes on WASM in webgpu modes'
         : '';
-      setResolvedModelInfo([resolvedQuant, resolvedRevision, loadedFiles, backendHint].filter(Boolean).join(' | '));
+      const modeHint = inferenceMode === 'worker' ? 'running in worker' : '';
+      setResolvedModelInfo([resolvedQuant, resolvedRevision, loadedFiles, backendHint, modeHint].filter(Boolean).join(' | '));
 
       setModelStatus('Verifying model...');
       setModelProgress('Running reference transcription');
-      await verifyModel(modelRef.current);
+      const verification = await verifyModel(modelRef.current);
+      // Cold start ends at the first verified transcript; the warm reference pass is not part of it.
+      const measured = {
+        ...phases,
+        configKey: sweepCellKey(config),
+        inferenceMode,
+        coldStartMs: instanceMs + verification.verifyMs,
+        ...verification,
+        firstInferencePenalty: verification.steadyInferenceMs > 0 ? verification.firstInferenceMs / verification.steadyInferenceMs : null,
+      };
+      loadMetricsRef.current = measured;
+      setLoadMetrics(measured);
       setModelStatus('Model ready (verified)');
       setIsModelReady(true);
       setModelProgress('');
+      return true;
     } catch (error) {
       console.error(error);
       const failedModel = modelRef.current;
       modelRef.current = null;
       await queueModelRelease(failedModel);
       setModelStatus(`Load failed: ${error.message}`);
+      return false;
     } finally {
       setIsLoadingModel(false);
     }
@@ -1046,6 +1773,117 @@ export default function App() {
     setBenchStatus('Stopping after current run...');
   }
 
+  // Everything runBatch reads from state, saved with a batch plan so a resume scores and times the same way.
+  function captureBatchSettings() {
+    return {
+      modelKey,
+      backend,
+      encoderQuant,
+      decoderQuant,
+      preprocessorBackend,
+      cpuThreads,
+      enableProfiling,
+      inferenceMode,
+      benchmarkMode,
+      streamChunkSec,
+      streamStrategy,
+      streamWindowSec,
+      streamRealtime,
+      datasetId,
+      datasetConfig,
+      datasetSplit,
+      repeatCount,
+      warmups,
+      warmupMode,
+      warmupWindow,
+      warmupCvPct,
+      warmupMax,
+      executionOrder,
+      orderSeed,
+      memoryPrecise,
+      stopRule,
+      stopBudgetMin,
+      stopMetric,
+      stopHalfWidthPct,
+      stopMaxRuns,
+      perturbEnabled,
+      perturbLevels,
+      resamplers,
+      sourceRate,
+      scoringNormalizer,
+      textLanguage,
+      stripDiacritics,
+      keywordSource,
+      keywordList,
+    };
+  }
+
+  function restoreBatchSettings(settings) {
+    const setters = {
+      modelKey: setModelKey,
+      backend: setBackend,
+      encoderQuant: setEncoderQuant,
+      decoderQuant: setDecoderQuant,
+      preprocessorBackend: setPreprocessorBackend,
+      cpuThreads: setCpuThreads,
+      enableProfiling: setEnableProfiling,
+      inferenceMode: setInferenceMode,
+      benchmarkMode: setBenchmarkMode,
+      streamChunkSec: setStreamChunkSec,
+      streamStrategy: setStreamStrategy,
+      streamWindowSec: setStreamWindowSec,
+      streamRealtime: setStreamRealtime,
+      datasetId: setDatasetId,
+      datasetConfig: setDatasetConfig,
+      datasetSplit: setDatasetSplit,
+      repeatCount: setRepeatCount,
+      warmups: setWarmups,
+      warmupMode: setWarmupMode,
+      warmupWindow: setWarmupWindow,
+      warmupCvPct: setWarmupCvPct,
+      warmupMax: setWarmupMax,
+      executionOrder: setExecutionOrder,
+      orderSeed: setOrderSeed,
+      memoryPrecise: setMemoryPrecise,
+      stopRule: setStopRule,
+      stopBudgetMin: setStopBudgetMin,
+      stopMetric: setStopMetric,
+      stopHalfWidthPct: setStopHalfWidthPct,
+      stopMaxRuns: setStopMaxRuns,
+      perturbEnabled: setPerturbEnabled,
+      perturbLevels: setPerturbLevels,
+      resamplers: setResamplers,
+      sourceRate: setSourceRate,
+      scoringNormalizer: setScoringNormalizer,
+      textLanguage: setTextLanguage,
+      stripDiacritics: setStripDiacritics,
+      keywordSource: setKeywordSource,
+      keywordList: setKeywordList,
+    };
+    Object.entries(settings || {}).forEach(([key, value]) => setters[key]?.(value));
+  }
+
+  async function refreshResumableBatch() {
+    const plan = await getLatestBatchPlan();
+    if (!plan) {
+      setResumableBatch(null);
+      return;
+    }
+    const savedRuns = (await getBatchRuns(plan.batchId)).filter((run) => !run.error);
+    setResumableBatch({ plan, savedRuns: savedRuns.length });
+  }
+
+  useEffect(() => {
+    void refreshResumableBatch();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Journaled batches stay resumable until they finish without a stop or a failed run.
+  async function finishJournaledBatch(out) {
+    if (!stopRef.current && !out.some((run) => run.error)) await clearBatchJournal();
+    await refreshResumableBatch();
+  }
+
   async function runBenchmark() {
     if (!modelRef.current || !isModelReady) {
       setBenchStatus('Load and verify model first');
@@ -1058,158 +1896,998 @@ export default function App() {
 
     try {
       const samples = preparedSamples.length ? preparedSamples : await prepareSampleRows();
-      const total = samples.length * repeatCount;
-      const batchId = `batch-${Date.now()}`;
-      const out = [];
-      let done = 0;
+      // Long-form and throughput runs are one measurement each, so only per-sample modes are journaled.
+      const journal = benchmarkMode === 'offline' || benchmarkMode === 'streaming';
+      let result;
+      if (journal) {
+        const batchId = `batch-${Date.now()}`;
+        await clearBatchJournal();
+        await putBatchRecord(BATCH_PLAN_STORE, {
+          batchId,
+          createdAt: new Date().toISOString(),
+          settings: captureBatchSettings(),
+          samples: samples.map(({ raw, ...sample }) => sample),
+          total: stopRule === 'fixed' ? samples.length * resamplers.length * (perturbationPlan.length + 1) * repeatCount : stopMaxRuns,
+        });
+        setResumableBatch(null);
+        result = await runBatch(samples, currentModelConfig(), '', { batchId, journal: true });
+        await finishJournaledBatch(result.out);
+      } else {
+        result = await runForMode(samples, currentModelConfig());
+      }
+      const { out, done, total, stopping } = result;
+      setRuns((prev) => [...prev, ...out]);
+      const stopNote = stopping && stopping.rule !== 'fixed' ? ` ${describeStopOutcome(stopping)}.` : '';
+      setBenchStatus(`${stopRef.current ? 'Stopped' : 'Completed'}. Added ${out.length} rows.${stopNote}`);
+      setProgress({ current: done, total, stage: stopRef.current ? 'Stopped' : 'Complete' });
+    } catch (error) {
+      console.error(error);
+      setBenchStatus(`Benchmark failed: ${error.message}`);
+    } finally {
+      stopRef.current = false;
+      setIsRunning(false);
+    }
+  }
 
-      for (let s = 0; s < samples.length; s += 1) {
-        if (stopRef.current) break;
-        const sample = samples[s];
-        const sampleKey = `${datasetSplit}:${sample.rowIndex}`;
+  function requestResume() {
+    if (!resumableBatch) return;
+    restoreBatchSettings(resumableBatch.plan.settings);
+    setResumeRequest(resumableBatch.plan);
+  }
 
-        setProgress({ current: done, total, stage: `Preparing ${sampleKey} (download + decode)` });
+  async function discardResumableBatch() {
+    await clearBatchJournal();
+    setResumableBatch(null);
+  }
 
-        let decoded;
-        try {
-          decoded = await decodeAudio(sample.audioUrl);
-        } catch (error) {
-          out.push({
-            id: `${batchId}-${sampleKey}-decode-error`,
-            batchId,
-            sampleKey,
-            rowIndex: sample.rowIndex,
-            repeatIndex: 0,
-            audioDurationSec: null,
-            referenceText: sample.referenceText,
-            transcription: '',
-            exactMatchToFirst: null,
-            similarityToFirst: null,
-            metrics: null,
-            error: `Decode error: ${error.message}`,
-            modelKey,
-            backend,
-            encoderQuant,
-            decoderQuant,
-            preprocessor: PREPROCESSOR_MODEL,
-            preprocessorBackend,
-            hardwareCpu: hardwareSummary.cpuLabel,
-            hardwareGpu: hardwareSummary.gpuLabel,
-            hardwareGpuModel: hardwareSummary.gpuModelLabel,
-            hardwareGpuCores: hardwareSummary.gpuCoresLabel,
-            hardwareVram: hardwareSummary.vramLabel,
-            hardwareMemory: hardwareSummary.systemMemoryLabel,
-            hardwareWebgpu: hardwareSummary.webgpuLabel,
-            startedAt: new Date().toISOString(),
-            finishedAt: new Date().toISOString(),
-          });
-          continue;
-        }
+  // Runs one render after requestResume so runBatch sees the restored settings.
+  useEffect(() => {
+    if (!resumeRequest) return;
+    setResumeRequest(null);
+    void resumeBatch(resumeRequest);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resumeRequest]);
+
+  async function resumeBatch(plan) {
+    const config = {
+      modelKey: plan.settings.modelKey,
+      backend: plan.settings.backend,
+      encoderQuant: plan.settings.encoderQuant,
+      decoderQuant: plan.settings.decoderQuant,
+      preprocessorBackend: plan.settings.preprocessorBackend,
+      cpuThreads: plan.settings.cpuThreads,
+    };
+    setIsRunning(true);
+    stopRef.current = false;
 
-        for (let w = 0; w < warmups; w += 1) {
-          if (stopRef.current) break;
-          setProgress({ current: done, total, stage: `Transcribing warmup ${w + 1}/${warmups} for ${sampleKey}` });
-          await modelRef.current.transcribe(decoded.pcm, decoded.sampleRate, {
-            enableProfiling,
-            returnConfidences: false,
-            returnTimestamps: false,
-          });
+    try {
+      // Local samples were journaled with blob URLs from the previous page; point them at
+      // the same files in the folder opened now.
+      const localPaths = new Map((localDataset?.samples || []).map((sample) => [sample.localPath, sample.audioUrl]));
+      const samples = plan.samples.map((sample) => (sample.localPath ? { ...sample, audioUrl: localPaths.get(sample.localPath) || null } : sample));
+      const unmatched = samples.filter((sample) => sample.localPath && !sample.audioUrl).length;
+      if (unmatched) {
+        setBenchStatus(`Resume needs the local folder: open it again (${unmatched} samples not found).`);
+        return;
+      }
+      const priorRuns = (await getBatchRuns(plan.batchId)).filter((run) => !run.error);
+      setRuns((prev) => {
+        const present = new Set(prev.map((run) => run.id));
+        return [...prev, ...priorRuns.filter((run) => !present.has(run.id))];
+      });
+
+      if (!modelRef.current || !isModelReady) {
+        setBenchStatus('Loading model for resumed batch...');
+        const loaded = await loadModel(config);
+        if (!loaded) {
+          setBenchStatus('Resume aborted: model failed to load');
+          return;
         }
+      }
 
-        let baseline = null;
-        for (let r = 1; r <= repeatCount; r += 1) {
-          if (stopRef.current) break;
+      setBenchStatus(`Resuming batch: ${priorRuns.length}/${plan.total} runs already done`);
+      setResumableBatch(null);
+      const { out, done, total } = await runBatch(samples, config, '', { batchId: plan.batchId, journal: true, priorRuns });
+      await finishJournaledBatch(out);
+      setRuns((prev) => {
+        const fresh = new Set(out.map((run) => run.id));
+        return [...prev.filter((run) => !fresh.has(run.id)), ...out];
+      });
+      setBenchStatus(stopRef.current ? `Stopped. Added ${out.length} rows.` : `Resumed batch complete. Added ${out.length} rows.`);
+      setProgress({ current: done, total, stage: stopRef.current ? 'Stopped' : 'Complete' });
+    } catch (error) {
+      console.error(error);
+      setBenchStatus(`Resume failed: ${error.message}`);
+      await refreshResumableBatch();
+    } finally {
+      stopRef.current = false;
+      setIsRunning(false);
+    }
+  }
 
-          const startedAt = new Date().toISOString();
-          setProgress({ current: done, total, stage: `Transcribing run ${r}/${repeatCount} for ${sampleKey}` });
+  const sweepCells = useMemo(
+    () => buildSweepCells({ ...sweepValues, cpuThreads: parseThreadList(sweepThreads) }, currentModelConfig()),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [sweepValues, sweepThreads, modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, cpuThreads]
+  );
 
-          try {
-            const result = await modelRef.current.transcribe(decoded.pcm, decoded.sampleRate, {
-              enableProfiling,
-              returnConfidences: true,
-              returnTimestamps: true,
-            });
-
-            const normalized = normalizeText(result.utterance_text || '');
-            if (baseline === null) baseline = normalized;
-
-            out.push({
-              id: `${batchId}-${sampleKey}-run-${r}`,
-              batchId,
-              sampleKey,
-              rowIndex: sample.rowIndex,
-              repeatIndex: r,
-              audioDurationSec: decoded.durationSec,
-              referenceText: sample.referenceText,
-              transcription: result.utterance_text || '',
-              exactMatchToFirst: baseline === normalized,
-              similarityToFirst: textSimilarity(baseline, normalized),
-              metrics: result.metrics,
-              error: null,
-              modelKey,
-              backend,
-              encoderQuant,
-              decoderQuant,
-              preprocessor: PREPROCESSOR_MODEL,
-              preprocessorBackend,
-              hardwareCpu: hardwareSummary.cpuLabel,
-              hardwareGpu: hardwareSummary.gpuLabel,
-              hardwareGpuModel: hardwareSummary.gpuModelLabel,
-              hardwareGpuCores: hardwareSummary.gpuCoresLabel,
-              hardwareVram: hardwareSummary.vramLabel,
-              hardwareMemory: hardwareSummary.systemMemoryLabel,
-              hardwareWebgpu: hardwareSummary.webgpuLabel,
-              startedAt,
-              finishedAt: new Date().toISOString(),
-            });
-          } catch (error) {
-            out.push({
-              id: `${batchId}-${sampleKey}-run-${r}-error`,
-              batchId,
-              sampleKey,
-              rowIndex: sample.rowIndex,
-              repeatIndex: r,
-              audioDurationSec: decoded.durationSec,
-              referenceText: sample.referenceText,
-              transcription: '',
-              exactMatchToFirst: null,
-              similarityToFirst: null,
-              metrics: null,
-              error: `Transcribe error: ${error.message}`,
-              modelKey,
-              backend,
-              encoderQuant,
-              decoderQuant,
-              preprocessor: PREPROCESSOR_MODEL,
-              preprocessorBackend,
-              hardwareCpu: hardwareSummary.cpuLabel,
-              hardwareGpu: hardwareSummary.gpuLabel,
-              hardwareGpuModel: hardwareSummary.gpuModelLabel,
-              hardwareGpuCores: hardwareSummary.gpuCoresLabel,
-              hardwareVram: hardwareSummary.vramLabel,
-              hardwareMemory: hardwareSummary.systemMemoryLabel,
-              hardwareWebgpu: hardwareSummary.webgpuLabel,
-              startedAt,
-              finishedAt: new Date().toISOString(),
-            });
-          }
+  function toggleSweepValue(key, value) {
+    setSweepValues((prev) => {
+      const current = prev[key] || [];
+      return { ...prev, [key]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value] };
+    });
+  }
+
+  function toggleSweepCell(cell) {
+    const key = sweepCellKey(cell);
+    setSweepSkipped((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  }
+
+  // Each cell reloads the model, runs the same prepared samples and saves its own snapshot.
+  async function runSweep() {
+    const cells = sweepCells.filter((cell) => !sweepSkipped.includes(sweepCellKey(cell)));
+    if (!cells.length) {
+      setBenchStatus('Sweep has no cells selected');
+      return;
+    }
 
-          done += 1;
+    setIsRunning(true);
+    stopRef.current = false;
+    const sweepId = `sweep-${Date.now()}`;
+    let savedCells = 0;
+    const failedCells = [];
+
+    try {
+      const samples = preparedSamples.length ? preparedSamples : await prepareSampleRows();
+      for (let c = 0; c < cells.length; c += 1) {
+        if (stopRef.current) break;
+        const cell = cells[c];
+        const prefix = `[${c + 1}/${cells.length}] `;
+        setBenchStatus(`${prefix}Loading ${sweepCellLabel(cell)}`);
+        const loaded = await loadModel(cell);
+        if (!loaded) {
+          failedCells.push(sweepCellLabel(cell));
+          continue;
         }
+
+        setBenchStatus(`${prefix}Running ${sweepCellLabel(cell)}`);
+        const { out } = await runForMode(samples, cell, prefix);
+        setRuns((prev) => [...prev, ...out]);
+        if (!out.length) continue;
+        const label = `sweep ${c + 1}/${cells.length}${stopRef.current ? ' (stopped)' : ''} | ${defaultSnapshotLabel(cell)}`;
+        const snapshot = buildSnapshot(out, cell, label, { sweepId, sweepCell: c + 1, sweepCells: cells.length });
+        setSnapshots((prev) => [snapshot, ...prev].slice(0, MAX_SNAPSHOTS));
+        savedCells += 1;
       }
 
-      setRuns((prev) => [...prev, ...out]);
-      setBenchStatus(stopRef.current ? `Stopped. Added ${out.length} rows.` : `Completed. Added ${out.length} rows.`);
-      setProgress({ current: done, total, stage: stopRef.current ? 'Stopped' : 'Complete' });
+      const failedNote = failedCells.length ? ` ${failedCells.length} failed to load: ${failedCells.join('; ')}` : '';
+      setBenchStatus(`${stopRef.current ? 'Sweep stopped' : 'Sweep complete'}. Saved ${savedCells}/${cells.length} snapshots.${failedNote}`);
     } catch (error) {
       console.error(error);
-      setBenchStatus(`Benchmark failed: ${error.message}`);
+      setBenchStatus(`Sweep failed: ${error.message}`);
     } finally {
+      // The last cell's model does not match the dropdowns, so do not leave it loaded.
+      const model = modelRef.current;
+      modelRef.current = null;
+      await queueModelRelease(model);
+      setIsModelReady(false);
+      setModelStatus('Model released after sweep');
+      setProgress((prev) => ({ ...prev, stage: stopRef.current ? 'Stopped' : 'Complete' }));
       stopRef.current = false;
       setIsRunning(false);
     }
   }
 
+  function runForMode(samples, config, stagePrefix = '') {
+    if (benchmarkMode === 'longform') return runLongForm(samples, config, stagePrefix);
+    if (benchmarkMode === 'throughput') return runThroughput(samples, config, stagePrefix);
+    return runBatch(samples, config, stagePrefix);
+  }
+
+  /**
+   * `journal` writes every run to IndexedDB as it completes. `priorRuns` are
+   * successful runs of the same batch from an earlier session: their
+   * sample/repeat pairs are skipped and repeat 1 stays the repeatability baseline.
+   */
+  async function runBatch(samples, config, stagePrefix = '', { batchId = `batch-${Date.now()}`, journal = false, priorRuns = [] } = {}) {
+    const { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend } = config;
+    const batchStart = performance.now();
+    const normalizeForScoring = getTextNormalizer(scoringNormalizer, textOptions);
+    const keywordTerms = resolveKeywordTerms(samples);
+    // Perturbed copies of a sample are samples in their own right from here on,
+    // keyed apart so repeats, resume and repeatability stay per variant.
+    const planned = perturbationPlan.length > 0;
+    const variants = expandResamplers(expandPerturbations(samples, perturbationPlan), resamplers);
+    const variantKey = (sample) => `${sampleSplit}:${sample.rowIndex}${sample.perturbation ? `~${sample.perturbation.id}` : ''}${resamplers.length > 1 ? `@${sample.resampler}` : ''}`;
+    const finished = new Set(priorRuns.map((run) => `${run.sampleKey}#${run.repeatIndex}`));
+    const out = [];
+    let done = finished.size;
+
+    async function record(run) {
+      out.push(run);
+      if (journal) await putBatchRecord(BATCH_RUN_STORE, run);
+    }
+
+    // Open-ended rules plan up to the run cap and let the rule cut the batch short. A
+    // sequential order would spend the cap on the first sample's repeats, so those rules
+    // go round-robin: every sample once, then second repeats, and so on.
+    const openEnded = stopRule !== 'fixed';
+    const orderStrategy = openEnded && executionOrder === 'sequential' ? 'round-robin' : executionOrder;
+    const order = buildExecutionOrder(
+      variants.length,
+      openEnded ? Math.max(repeatCount, Math.ceil(stopMaxRuns / variants.length)) : repeatCount,
+      orderStrategy,
+      createSeededRng(`order:${orderSeed}`),
+    ).slice(0, openEnded ? stopMaxRuns : undefined);
+    const total = order.length;
+    const prepared = new Map();
+    let stopReason = null;
+
+    // Babble talkers are the next few samples in the list, so no clip is mixed with itself.
+    async function perturbAudio(decoded, sample, sampleKey) {
+      const babbleSources = [];
+      if (sample.perturbation.kind === 'babble') {
+        const base = samples.findIndex((other) => other.rowIndex === sample.rowIndex);
+        for (let k = 1; k < samples.length && babbleSources.length < BABBLE_TALKERS; k += 1) {
+          try {
+            babbleSources.push((await decodeAudio(samples[(base + k) % samples.length].audioUrl)).pcm);
+          } catch {
+            // A talker that fails to decode only makes the babble thinner.
+          }
+        }
+      }
+      return applyPerturbation(decoded, sample.perturbation, { rng: createSeededRng(`perturb:${sampleKey}`), babbleSources });
+    }
+
+    // Decode, perturb and warm up a sample the first time the order reaches it.
+    async function prepareSample(sampleIndex) {
+      if (prepared.has(sampleIndex)) return prepared.get(sampleIndex);
+      const sample = variants[sampleIndex];
+      const sampleKey = variantKey(sample);
+      const priorFirst = priorRuns.find((run) => run.sampleKey === sampleKey && run.repeatIndex === 1);
+      const state = {
+        source: null,
+        decoded: null,
+        sampleRms: null,
+        baseline: priorFirst ? normalizeText(priorFirst.transcription || '', textOptions) : null,
+        baselineWords: priorFirst?.words || null,
+        offlineText: priorFirst?.offlineTranscription ?? null,
+        warmup: null,
+      };
+      prepared.set(sampleIndex, state);
+
+      setProgress({ current: done, total, stage: `${stagePrefix}Preparing ${sampleKey} (download + decode)` });
+      let failedStage = 'Decode';
+      try {
+        if (sample.resampler === 'decoder') {
+          state.decoded = await decodeAudio(sample.audioUrl);
+        } else {
+          state.source = await decodeNativeAudio(sample.audioUrl, sourceRate);
+          failedStage = 'Resample';
+          const { pcm } = await resampleAudio(state.source.pcm, state.source.sampleRate, TARGET_SAMPLE_RATE, sample.resampler);
+          state.decoded = { pcm, sampleRate: TARGET_SAMPLE_RATE, durationSec: pcm.length / TARGET_SAMPLE_RATE };
+        }
+        if (sample.perturbation) {
+          failedStage = 'Perturbation';
+          state.decoded = await perturbAudio(state.decoded, sample, sampleKey);
+        }
+      } catch (error) {
+        state.decoded = null;
+        await record({
+          id: `${batchId}-${sampleKey}-decode-error`,
+          batchId,
+          sampleKey,
+          rowIndex: sample.rowIndex,
+          repeatIndex: 0,
+          ...perturbationRunFields(sample.perturbation, planned),
+          resampler: sample.resampler,
+          audioDurationSec: null,
+          referenceText: sample.referenceText,
+          transcription: '',
+          exactMatchToFirst: null,
+          similarityToFirst: null,
+          metrics: null,
+          error: `${failedStage} error: ${error.message}`,
+          modelKey,
+          backend,
+          encoderQuant,
+          decoderQuant,
+          preprocessor: PREPROCESSOR_MODEL,
+          preprocessorBackend,
+          hardwareCpu: hardwareSummary.cpuLabel,
+          hardwareGpu: hardwareSummary.gpuLabel,
+          hardwareGpuModel: hardwareSummary.gpuModelLabel,
+          hardwareGpuCores: hardwareSummary.gpuCoresLabel,
+          hardwareVram: hardwareSummary.vramLabel,
+          hardwareMemory: hardwareSummary.systemMemoryLabel,
+          hardwareWebgpu: hardwareSummary.webgpuLabel,
+          startedAt: new Date().toISOString(),
+          finishedAt: new Date().toISOString(),
+        });
+        return state;
+      }
+      state.sampleRms = audioRms(state.decoded.pcm);
+
+      state.warmup = await runWarmupPolicy(
+        () => modelRef.current.transcribe(state.decoded.pcm, state.decoded.sampleRate, {
+          enableProfiling,
+          returnConfidences: false,
+          returnTimestamps: false,
+        }),
+        (label) => setProgress({ current: done, total, stage: `${stagePrefix}Transcribing ${label} for ${sampleKey}` }),
+      );
+      return state;
+    }
+
+    // Precision is re-estimated once per round of samples rather than before every run.
+    const checkEvery = precisionCheckInterval(variants.length);
+    for (let position = 0; position < order.length; position += 1) {
+      if (stopRef.current) break;
+      if (openEnded) {
+        stopReason = checkStoppingRule({
+          rule: stopRule,
+          elapsedMs: performance.now() - batchStart,
+          budgetMs: stopBudgetMin * 60_000,
+          runs: [...priorRuns, ...out],
+          metric: stopMetric,
+          target: stopHalfWidthPct / 100,
+          position,
+          checkEvery,
+        });
+        if (stopReason) break;
+      }
+      const { sampleIndex, repeatIndex: r } = order[position];
+      const sample = variants[sampleIndex];
+      const sampleKey = variantKey(sample);
+      if (finished.has(`${sampleKey}#${r}`)) continue;
+
+      const state = await prepareSample(sampleIndex);
+      if (!state.decoded || stopRef.current) continue;
+      const { sampleRms } = state;
+      let { decoded } = state;
+
+      const startedAt = new Date().toISOString();
+      setProgress({ current: done, total, stage: `${stagePrefix}Transcribing run ${r}/${repeatCount} for ${sampleKey}` });
+
+      let resampleMs = null;
+      try {
+        // Resampling runs again for every run so its cost is measured like any other stage.
+        // Perturbed variants keep the clip prepared from the first pass: every resampler
+        // here is deterministic, so the output would be identical anyway.
+        if (state.source) {
+          const resampled = await resampleAudio(state.source.pcm, state.source.sampleRate, TARGET_SAMPLE_RATE, sample.resampler);
+          resampleMs = resampled.ms;
+          if (!sample.perturbation) decoded = { ...decoded, pcm: resampled.pcm };
+        }
+
+        // One untimed full-clip pass per sample gives the text the incremental result is checked against.
+        if (benchmarkMode === 'streaming' && state.offlineText === null) {
+          const offline = await modelRef.current.transcribe(decoded.pcm, decoded.sampleRate, {
+            enableProfiling: false,
+            returnConfidences: false,
+            returnTimestamps: false,
+          });
+          state.offlineText = offline.utterance_text || '';
+        }
+
+        const memBefore = await sampleRunMemory(modelRef.current);
+        // Wall time includes the worker round trip, so main-thread and worker runs stay comparable.
+        const wallStart = performance.now();
+        let result;
+        let streaming = null;
+        if (benchmarkMode === 'streaming') {
+          const sim = await simulateStreaming(modelRef.current, decoded.pcm, decoded.sampleRate, {
+            chunkSec: streamChunkSec,
+            strategy: streamStrategy,
+            windowSec: streamWindowSec,
+            realtime: streamRealtime,
+            transcribeOptions: { enableProfiling, returnConfidences: false },
+            normalize: normalizeForScoring,
+            shouldStop: () => stopRef.current,
+          });
+          // A stream cut short by Stop is not a comparable run.
+          if (stopRef.current) break;
+          result = { utterance_text: sim.text, words: sim.words, metrics: sim.metrics };
+          streaming = sim.streaming;
+        } else {
+          result = await modelRef.current.transcribe(decoded.pcm, decoded.sampleRate, {
+            enableProfiling,
+            returnConfidences: true,
+            returnTimestamps: true,
+          });
+        }
+        const wallMs = performance.now() - wallStart;
+        const memAfter = await sampleRunMemory(modelRef.current);
+
+        const normalized = normalizeText(result.utterance_text || '', textOptions);
+        if (state.baseline === null) state.baseline = normalized;
+        const accuracy = scoreTranscript(sample.referenceText, result.utterance_text || '', normalizeForScoring);
+        const sanity = detectOutputIssues({
+          referenceText: sample.referenceText,
+          transcription: result.utterance_text || '',
+          audioRms: sampleRms,
+        }, normalizeForScoring);
+        const keywords = keywordTerms.length
+          ? scoreKeywords(sample.referenceText, result.utterance_text || '', keywordTerms, normalizeForScoring)
+          : null;
+        const words = result.words || [];
+        const wordCorrect = sample.referenceText
+          ? labelWordCorrectness(sample.referenceText, words, (text) => normalizeText(text, textOptions))
+          : [];
+        const timedWords = words.map((word, idx) => ({
+          text: word.text,
+          start: word.start_time,
+          end: word.end_time,
+          confidence: word.confidence,
+          correct: wordCorrect[idx] ?? null,
+        }));
+        if (state.baselineWords === null) state.baselineWords = timedWords;
+        const boundaryShift = r > 1
+          ? wordBoundaryShift(state.baselineWords, timedWords, (text) => normalizeText(text, textOptions))
+          : null;
+
+        await record({
+          id: `${batchId}-${sampleKey}-run-${r}`,
+          batchId,
+          sampleKey,
+          rowIndex: sample.rowIndex,
+          repeatIndex: r,
+          executionPosition: position + 1,
+          executionOrder: orderStrategy,
+          ...perturbationRunFields(sample.perturbation, planned),
+          resampler: sample.resampler,
+          sourceSampleRate: state.source ? state.source.sampleRate : null,
+          sourceRateFrom: state.source ? state.source.rateFrom : null,
+          resampleMs,
+          audioDurationSec: decoded.durationSec,
+          audioUrl: sample.audioUrl,
+          referenceText: sample.referenceText,
+          transcription: result.utterance_text || '',
+          exactMatchToFirst: state.baseline === normalized,
+          similarityToFirst: textSimilarity(state.baseline, normalized, textOptions),
+          boundaryShiftToFirstMs: Number.isFinite(boundaryShift?.meanShift) ? boundaryShift.meanShift * 1000 : null,
+          words: timedWords,
+          tokens: (result.tokens || []).map((token) => ({
+            text: token.token,
+            start: token.start_time,
+            end: token.end_time,
+          })),
+          tokenConfidences: result.confidence_scores?.token || [],
+          meanWordConfidence: Number.isFinite(result.confidence_scores?.word_avg) ? result.confidence_scores.word_avg : null,
+          meanTokenConfidence: Number.isFinite(result.confidence_scores?.token_avg) ? result.confidence_scores.token_avg : null,
+          wer: accuracy.wer,
+          cer: accuracy.cer,
+          normalizer: scoringNormalizer,
+          normalizerOptions: textOptions,
+          wordErrors: accuracy.wordErrors,
+          substitutions: accuracy.substitutions,
+          deletions: accuracy.deletions,
+          insertions: accuracy.insertions,
+          referenceWords: accuracy.referenceWords,
+          charErrors: accuracy.charErrors,
+          referenceChars: accuracy.referenceChars,
+          keywordRecall: keywords?.keywordRecall ?? null,
+          keywordPrecision: keywords?.keywordPrecision ?? null,
+          keywordRefCount: keywords?.keywordRefCount ?? null,
+          keywordRecalled: keywords?.keywordRecalled ?? null,
+          keywordHypCount: keywords?.keywordHypCount ?? null,
+          keywordHypCorrect: keywords?.keywordHypCorrect ?? null,
+          keywordMisses: keywords?.keywordMisses || [],
+          outputFlags: sanity.outputFlags,
+          lengthRatio: sanity.lengthRatio,
+          repeatNgram: sanity.repeatNgram,
+          metrics: result.metrics,
+          wallMs,
+          ...memoryRunFields(memBefore, memAfter),
+          ...warmupRunFields(state.warmup),
+          inferenceMode,
+          benchmarkMode,
+          ...(streaming ? {
+            streamChunkSec,
+            streamStrategy,
+            streamWindowSec: streamStrategy === 'sliding' ? streamWindowSec : null,
+            streamRealtime,
+            chunkCount: streaming.chunkCount,
+            chunkLatencies: streaming.chunkLatencies,
+            chunkLatencyMean: streaming.chunkLatencyMean,
+            chunkLatencyP90: streaming.chunkLatencyP90,
+            firstTokenLatencyMs: streaming.firstTokenLatencyMs,
+            maxLagMs: streaming.maxLagMs,
+            realtimeHeadroom: streaming.realtimeHeadroom,
+            peakChunkLoad: streaming.peakChunkLoad,
+            revisionRate: streaming.revisionRate,
+            offlineTranscription: state.offlineText,
+            streamFinalWer: scoreTranscript(state.offlineText, result.utterance_text || '', normalizeForScoring).wer,
+          } : {}),
+          error: null,
+          modelKey,
+          backend,
+          encoderQuant,
+          decoderQuant,
+          preprocessor: PREPROCESSOR_MODEL,
+          preprocessorBackend,
+          hardwareCpu: hardwareSummary.cpuLabel,
+          hardwareGpu: hardwareSummary.gpuLabel,
+          hardwareGpuModel: hardwareSummary.gpuModelLabel,
+          hardwareGpuCores: hardwareSummary.gpuCoresLabel,
+          hardwareVram: hardwareSummary.vramLabel,
+          hardwareMemory: hardwareSummary.systemMemoryLabel,
+          hardwareWebgpu: hardwareSummary.webgpuLabel,
+          startedAt,
+          finishedAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        await record({
+          id: `${batchId}-${sampleKey}-run-${r}-error`,
+          batchId,
+          sampleKey,
+          rowIndex: sample.rowIndex,
+          repeatIndex: r,
+          executionPosition: position + 1,
+          executionOrder: orderStrategy,
+          ...perturbationRunFields(sample.perturbation, planned),
+          resampler: sample.resampler,
+          sourceSampleRate: state.source ? state.source.sampleRate : null,
+          sourceRateFrom: state.source ? state.source.rateFrom : null,
+          resampleMs,
+          audioDurationSec: decoded.durationSec,
+          referenceText: sample.referenceText,
+          transcription: '',
+          exactMatchToFirst: null,
+          similarityToFirst: null,
+          metrics: null,
+          error: `Transcribe error: ${error.message}`,
+          modelKey,
+          backend,
+          encoderQuant,
+          decoderQuant,
+          preprocessor: PREPROCESSOR_MODEL,
+          preprocessorBackend,
+          hardwareCpu: hardwareSummary.cpuLabel,
+          hardwareGpu: hardwareSummary.gpuLabel,
+          hardwareGpuModel: hardwareSummary.gpuModelLabel,
+          hardwareGpuCores: hardwareSummary.gpuCoresLabel,
+          hardwareVram: hardwareSummary.vramLabel,
+          hardwareMemory: hardwareSummary.systemMemoryLabel,
+          hardwareWebgpu: hardwareSummary.webgpuLabel,
+          startedAt,
+          finishedAt: new Date().toISOString(),
+        });
+      }
+
+      done += 1;
+    }
+
+    const allRuns = [...priorRuns, ...out];
+    const stopping = {
+      batchId,
+      rule: stopRule,
+      reason: stopRef.current ? 'stopped' : (stopReason || (openEnded ? 'cap' : 'plan')),
+      elapsedMs: performance.now() - batchStart,
+      runCount: allRuns.filter((run) => !run.error).length,
+      precision: measurePrecision(allRuns, stopMetric),
+      ...(stopRule === 'precision' ? { checkEvery } : {}),
+    };
+    lastStopRef.current = stopping;
+    setLastStop(stopping);
+    return { out, done, total, stopping };
+  }
+
+  async function buildLongFormAudio(samples, stagePrefix) {
+    if (longFile) {
+      setProgress({ current: 0, total: 1, stage: `${stagePrefix}Decoding ${longFile.name}` });
+      const decoded = await decodeAudio(longFile.url, { persist: false });
+      return {
+        ...decoded,
+        segments: [{ sampleKey: longFile.name, start: 0, end: decoded.durationSec, referenceText: longFileReference.trim() }],
+        clipCount: 1,
+        passes: 1,
+        referenceText: longFileReference.trim(),
+        label: longFile.name,
+      };
+    }
+
+    const clips = [];
+    for (let s = 0; s < samples.length; s += 1) {
+      if (stopRef.current) return null;
+      const sampleKey = `${sampleSplit}:${samples[s].rowIndex}`;
+      setProgress({ current: s, total: samples.length, stage: `${stagePrefix}Preparing ${sampleKey} for long-form audio` });
+      try {
+        const decoded = await decodeAudio(samples[s].audioUrl);
+        clips.push({ sampleKey, pcm: decoded.pcm, referenceText: samples[s].referenceText });
+      } catch (error) {
+        console.warn(`Skipping ${sampleKey} in long-form audio: ${error.message}`);
+      }
+    }
+    const joined = concatenateClips(clips, 16000, { targetSec: longTargetMin * 60 });
+    return joined ? { ...joined, label: `${joined.clipCount} clips x${joined.passes}` } : null;
+  }
+
+  // One run per window size and repeat over a single long recording.
+  async function runLongForm(samples, config, stagePrefix = '') {
+    const { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend } = config;
+    const windowSizes = parseSecondsList(longWindows).filter((sec) => sec > longOverlapSec);
+    if (!windowSizes.length) throw new Error('Long-form mode needs at least one window size longer than the overlap');
+    const batchId = `batch-${Date.now()}`;
+    const normalizeForScoring = getTextNormalizer(scoringNormalizer, textOptions);
+    const out = [];
+    const total = windowSizes.length * repeatCount;
+    let done = 0;
+
+    const audio = await buildLongFormAudio(samples, stagePrefix);
+    if (!audio) return { out, done, total };
+    const sampleKey = `longform:${audio.label}`;
+    const audioSec = audio.durationSec;
+
+    const warmup = await runWarmupPolicy(
+      () => modelRef.current.transcribe(audio.pcm.subarray(0, Math.round(windowSizes[0] * audio.sampleRate)), audio.sampleRate, {
+        enableProfiling,
+        returnConfidences: false,
+        returnTimestamps: false,
+      }),
+      (label) => setProgress({ current: done, total, stage: `${stagePrefix}Long-form ${label}` }),
+    );
+
+    for (const windowSec of windowSizes) {
+      let baseline = null;
+      for (let r = 1; r <= repeatCount; r += 1) {
+        if (stopRef.current) break;
+        const startedAt = new Date().toISOString();
+        const stage = `${stagePrefix}Long-form ${(audioSec / 60).toFixed(1)} min, ${windowSec}s windows, run ${r}/${repeatCount}`;
+        const runBase = {
+          batchId,
+          sampleKey,
+          rowIndex: null,
+          repeatIndex: r,
+          audioDurationSec: audioSec,
+          referenceText: audio.referenceText,
+          benchmarkMode: 'longform',
+          longWindowSec: windowSec,
+          longOverlapSec,
+          longClipCount: audio.clipCount,
+          longPasses: audio.passes,
+          inferenceMode,
+          modelKey,
+          backend,
+          encoderQuant,
+          decoderQuant,
+          preprocessor: PREPROCESSOR_MODEL,
+          preprocessorBackend,
+          hardwareCpu: hardwareSummary.cpuLabel,
+          hardwareGpu: hardwareSummary.gpuLabel,
+          hardwareGpuModel: hardwareSummary.gpuModelLabel,
+          hardwareGpuCores: hardwareSummary.gpuCoresLabel,
+          hardwareVram: hardwareSummary.vramLabel,
+          hardwareMemory: hardwareSummary.systemMemoryLabel,
+          hardwareWebgpu: hardwareSummary.webgpuLabel,
+          startedAt,
+        };
+
+        try {
+          const memBefore = await sampleRunMemory(modelRef.current);
+          const wallStart = performance.now();
+          const result = await transcribeLongForm(modelRef.current, audio.pcm, audio.sampleRate, {
+            windowSec,
+            overlapSec: longOverlapSec,
+            transcribeOptions: { enableProfiling, returnConfidences: false },
+            shouldStop: () => stopRef.current,
+            onWindow: (i, count) => setProgress({ current: done, total, stage: `${stage} (window ${i + 1}/${count})` }),
+          });
+          const wallMs = performance.now() - wallStart;
+          if (stopRef.current) break;
+          const memAfter = await sampleRunMemory(modelRef.current);
+
+          const normalized = normalizeText(result.text, textOptions);
+          if (baseline === null) baseline = normalized;
+          const accuracy = audio.referenceText
+            ? scoreSegments(audio.segments, result.words, normalizeForScoring)
+            : scoreTranscript('', result.text, normalizeForScoring);
+          const { heapStartBytes, heapPeakBytes } = result.longForm;
+
+          out.push({
+            ...runBase,
+            id: `${batchId}-longform-w${windowSec}-run-${r}`,
+            transcription: result.text,
+            exactMatchToFirst: baseline === normalized,
+            similarityToFirst: textSimilarity(baseline, normalized, textOptions),
+            wer: accuracy.wer,
+            cer: accuracy.cer,
+            normalizer: scoringNormalizer,
+            normalizerOptions: textOptions,
+            wordErrors: accuracy.wordErrors,
+            substitutions: accuracy.substitutions,
+            deletions: accuracy.deletions,
+            insertions: accuracy.insertions,
+            referenceWords: accuracy.referenceWords,
+            charErrors: accuracy.charErrors,
+            referenceChars: accuracy.referenceChars,
+            bandedSegments: accuracy.bandedSegments ?? null,
+            unscoredSegments: accuracy.unscoredSegments ?? null,
+            metrics: result.metrics,
+            wallMs,
+            ...memoryRunFields(memBefore, memAfter),
+            ...warmupRunFields(warmup),
+            windowCount: result.longForm.windowCount,
+            windowLatencyMean: result.longForm.windowLatencyMean,
+            windowLatencyP90: result.longForm.windowLatencyP90,
+            windowLatencyMax: result.longForm.windowLatencyMax,
+            heapPeakMb: Number.isFinite(heapPeakBytes) ? heapPeakBytes / (1024 * 1024) : null,
+            heapGrowthMb: Number.isFinite(heapPeakBytes) && Number.isFinite(heapStartBytes) ? (heapPeakBytes - heapStartBytes) / (1024 * 1024) : null,
+            error: null,
+            finishedAt: new Date().toISOString(),
+          });
+        } catch (error) {
+          out.push({
+            ...runBase,
+            id: `${batchId}-longform-w${windowSec}-run-${r}-error`,
+            transcription: '',
+            exactMatchToFirst: null,
+            similarityToFirst: null,
+            metrics: null,
+            error: `Long-form error: ${error.message}`,
+            finishedAt: new Date().toISOString(),
+          });
+        }
+        done += 1;
+      }
+    }
+
+    return { out, done, total };
+  }
+
+  /**
+   * One batch per concurrency level. The loaded model is instance 0; extra
+   * instances are loaded for the run and released afterwards.
+   */
+  async function runThroughput(samples, config, stagePrefix = '') {
+    const { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend } = config;
+    const levels = parseThreadList(throughputLevels, MAX_THROUGHPUT_CONCURRENCY);
+    if (!levels.length) throw new Error('Throughput mode needs at least one concurrency level');
+    const normalizeForScoring = getTextNormalizer(scoringNormalizer, textOptions);
+    const out = [];
+    const total = levels.length * samples.length * repeatCount;
+    let done = 0;
+
+    const decodedSamples = [];
+    for (let s = 0; s < samples.length; s += 1) {
+      if (stopRef.current) return { out, done, total };
+      const sampleKey = `${sampleSplit}:${samples[s].rowIndex}`;
+      setProgress({ current: 0, total, stage: `${stagePrefix}Preparing ${sampleKey} (download + decode)` });
+      try {
+        decodedSamples.push({ sample: samples[s], sampleKey, decoded: await decodeAudio(samples[s].audioUrl) });
+      } catch (error) {
+        console.warn(`Skipping ${sampleKey} in throughput run: ${error.message}`);
+      }
+    }
+    if (!decodedSamples.length) throw new Error('No sample audio could be decoded');
+
+    const extraModels = [];
+    try {
+      for (let k = 1; k < throughputInstances; k += 1) {
+        if (stopRef.current) return { out, done, total };
+        setProgress({ current: 0, total, stage: `${stagePrefix}Loading model instance ${k + 1}/${throughputInstances}` });
+        const { model } = await createModelInstance(config);
+        extraModels.push(model);
+      }
+      const instances = [modelRef.current, ...extraModels];
+
+      const first = decodedSamples[0].decoded;
+      const instanceWarmups = [];
+      for (let k = 0; k < instances.length; k += 1) {
+        instanceWarmups.push(await runWarmupPolicy(
+          () => instances[k].transcribe(first.pcm, first.sampleRate, {
+            enableProfiling,
+            returnConfidences: false,
+            returnTimestamps: false,
+          }),
+          (label) => setProgress({ current: 0, total, stage: `${stagePrefix}Instance ${k + 1} ${label}` }),
+        ));
+      }
+
+      for (const concurrency of levels) {
+        if (stopRef.current) break;
+        const batchId = `batch-${Date.now()}-n${concurrency}`;
+        const requests = [];
+        for (let r = 1; r <= repeatCount; r += 1) {
+          decodedSamples.forEach((item) => requests.push({ ...item, repeatIndex: r }));
+        }
+        const levelStart = done;
+        const levelEpoch = Date.now();
+        const baselines = new Map();
+
+        const settled = await runClosedLoop({
+          requests,
+          instances,
+          concurrency,
+          shouldStop: () => stopRef.current,
+          execute: ({ decoded }, instance) => instance.transcribe(decoded.pcm, decoded.sampleRate, {
+            enableProfiling,
+            returnConfidences: false,
+            returnTimestamps: false,
+          }),
+          onSettled: (count) => {
+            done = levelStart + count;
+            setProgress({ current: done, total, stage: `${stagePrefix}Throughput N=${concurrency} K=${instances.length}: ${count}/${requests.length} requests` });
+          },
+        });
+
+        settled.forEach(({ request, value, error, instanceIndex, enqueuedMs, startMs, endMs }) => {
+          const { sample, sampleKey, decoded, repeatIndex } = request;
+          const runBase = {
+            id: `${batchId}-${sampleKey}-run-${repeatIndex}${error ? '-error' : ''}`,
+            batchId,
+            sampleKey,
+            rowIndex: sample.rowIndex,
+            repeatIndex,
+            audioDurationSec: decoded.durationSec,
+            audioUrl: sample.audioUrl,
+            referenceText: sample.referenceText,
+            benchmarkMode: 'throughput',
+            throughputConcurrency: concurrency,
+            throughputInstances: instances.length,
+            instanceIndex,
+            ...warmupRunFields(instanceWarmups[instanceIndex]),
+            queueMs: startMs - enqueuedMs,
+            latencyMs: endMs - enqueuedMs,
+            batchEndMs: endMs,
+            wallMs: endMs - startMs,
+            inferenceMode,
+            modelKey,
+            backend,
+            encoderQuant,
+            decoderQuant,
+            preprocessor: PREPROCESSOR_MODEL,
+            preprocessorBackend,
+            hardwareCpu: hardwareSummary.cpuLabel,
+            hardwareGpu: hardwareSummary.gpuLabel,
+            hardwareGpuModel: hardwareSummary.gpuModelLabel,
+            hardwareGpuCores: hardwareSummary.gpuCoresLabel,
+            hardwareVram: hardwareSummary.vramLabel,
+            hardwareMemory: hardwareSummary.systemMemoryLabel,
+            hardwareWebgpu: hardwareSummary.webgpuLabel,
+            startedAt: new Date(levelEpoch + startMs).toISOString(),
+            finishedAt: new Date(levelEpoch + endMs).toISOString(),
+          };
+          if (error) {
+            out.push({ ...runBase, transcription: '', exactMatchToFirst: null, similarityToFirst: null, metrics: null, error: `Transcribe error: ${error.message}` });
+            return;
+          }
+
+          const text = value.utterance_text || '';
+          const normalized = normalizeText(text, textOptions);
+          if (!baselines.has(sampleKey)) baselines.set(sampleKey, normalized);
+          const baseline = baselines.get(sampleKey);
+          const accuracy = scoreTranscript(sample.referenceText, text, normalizeForScoring);
+          out.push({
+            ...runBase,
+            transcription: text,
+            exactMatchToFirst: baseline === normalized,
+            similarityToFirst: textSimilarity(baseline, normalized, textOptions),
+            wer: accuracy.wer,
+            cer: accuracy.cer,
+            normalizer: scoringNormalizer,
+            normalizerOptions: textOptions,
+            wordErrors: accuracy.wordErrors,
+            substitutions: accuracy.substitutions,
+            deletions: accuracy.deletions,
+            insertions: accuracy.insertions,
+            referenceWords: accuracy.referenceWords,
+            charErrors: accuracy.charErrors,
+            referenceChars: accuracy.referenceChars,
+            metrics: value.metrics,
+            error: null,
+          });
+        });
+      }
+    } finally {
+      await Promise.all(extraModels.map((model) => queueModelRelease(model)));
+    }
+
+    return { out, done, total };
+  }
+
+  function importLongFile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    if (longFile) URL.revokeObjectURL(longFile.url);
+    setLongFile({ name: file.name, url: URL.createObjectURL(file) });
+  }
+
+  function clearLongFile() {
+    if (longFile) URL.revokeObjectURL(longFile.url);
+    setLongFile(null);
+  }
+
+  async function loadLocalDataset({ name, entries }) {
+    const manifest = findManifestFile(entries);
+    if (!manifest) {
+      setDatasetStatus(`No manifest (.tsv, .csv, .json, .jsonl or .txt) found in ${name}.`);
+      return;
+    }
+    try {
+      const records = parseManifest(await manifest.file.text(), manifest.path);
+      const { samples, missing } = buildLocalSamples(records, entries);
+      if (localDataset) revokeLocalSamples(localDataset.samples);
+      setLocalDataset({ name, manifestName: manifest.path, samples, missing, kind: 'folder' });
+      if (!samples.length) {
+        setPreparedSamples([]);
+        setDatasetStatus(`${manifest.path}: none of ${records.length} entries matched an audio file.`);
+        return;
+      }
+      selectLocalRows(samples, name);
+      if (missing.length) {
+        setDatasetStatus((prev) => `${prev}; ${missing.length} manifest entries without audio (first: ${missing[0]})`);
+      }
+    } catch (error) {
+      setDatasetStatus(`Could not read ${manifest.path}: ${error.message}`);
+    }
+  }
+
+  async function openLocalFolder() {
+    try {
+      const picked = await pickDirectoryEntries();
+      if (picked) await loadLocalDataset(picked);
+      else localFolderRef.current?.click();
+    } catch (error) {
+      if (error.name !== 'AbortError') setDatasetStatus(`Folder access failed: ${error.message}`);
+    }
+  }
+
+  function importLocalFiles(event) {
+    const picked = entriesFromFileList(event.target.files);
+    event.target.value = '';
+    if (picked.entries.length) void loadLocalDataset(picked);
+  }
+
+  /**
+   * A NeMo manifest on its own, with every audio_filepath fetched from under
+   * manifestBaseUrl. Manifests next to their audio can go through Open folder
+   * instead; absolute paths there match on their tail inside the folder.
+   */
+  async function importNemoManifest(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const base = manifestBaseUrl.trim();
+    if (!base) {
+      setDatasetStatus('Set the audio base URL first, or open the folder that holds the manifest and its audio.');
+      return;
+    }
+    try {
+      const samples = nemoSamplesFromUrlBase(parseNemoManifest(await file.text(), file.name), base);
+      if (localDataset) revokeLocalSamples(localDataset.samples);
+      setLocalDataset({ name: file.name, manifestName: file.name, samples, missing: [], kind: 'url', base });
+      if (!samples.length) {
+        setPreparedSamples([]);
+        setDatasetStatus(`${file.name} has no entries.`);
+        return;
+      }
+      selectLocalRows(samples, file.name);
+    } catch (error) {
+      setDatasetStatus(`Could not read ${file.name}: ${error.message}`);
+    }
+  }
+
+  // Latest clean (unperturbed) successful run of each prepared sample supplies pred_text.
+  function exportNemoManifest() {
+    const latest = new Map();
+    okRuns.forEach((run) => {
+      if (run.audioUrl && (!run.perturbationKind || run.perturbationKind === 'clean')) latest.set(run.audioUrl, run);
+    });
+    const text = buildNemoManifest(preparedSamples, (sample) => latest.get(sample.audioUrl) || null);
+    saveText(`parakeet-manifest-${Date.now()}.jsonl`, text, 'application/jsonl;charset=utf-8');
+    const predicted = preparedSamples.filter((sample) => latest.has(sample.audioUrl)).length;
+    setDatasetStatus(`Exported ${preparedSamples.length} samples as a NeMo manifest (${predicted} with pred_text).`);
+  }
+
+  function clearLocalDataset() {
+    if (localDataset) revokeLocalSamples(localDataset.samples);
+    setLocalDataset(null);
+    setPreparedSamples([]);
+    setDatasetStatus('Local dataset closed; samples come from the hub again.');
+  }
+
   const okRuns = useMemo(
     () => runs.filter((r) => !r.error && r.metrics && Number.isFinite(r.metrics.total_ms)),
     [runs]
@@ -1229,13 +2907,161 @@ export default function App() {
   const repeatability = useMemo(() => {
     const exact = okRuns.map((r) => r.exactMatchToFirst).filter((v) => typeof v === 'boolean');
     const similarity = okRuns.map((r) => r.similarityToFirst).filter(Number.isFinite);
+    const boundaryShift = okRuns.map((r) => r.boundaryShiftToFirstMs).filter(Number.isFinite);
     return {
       exactRate: exact.length ? exact.filter(Boolean).length / exact.length : null,
       similarityMean: similarity.length ? mean(similarity) : null,
       similarityStd: similarity.length ? stddev(similarity) : null,
+      boundaryShiftMean: boundaryShift.length ? mean(boundaryShift) : null,
+      boundaryShiftP90: boundaryShift.length ? percentile(boundaryShift, 90) : null,
     };
   }, [okRuns]);
 
+  const accuracy = useMemo(() => aggregateErrorRates(okRuns), [okRuns]);
+  const robustness = useMemo(() => summarizeByPerturbation(okRuns), [okRuns]);
+  const resamplerStats = useMemo(() => summarizeByResampler(okRuns), [okRuns]);
+
+  // WER and latency against the strength of one perturbation kind at a time,
+  // since SNRs, gains and speed factors do not share an axis.
+  const robustnessCharts = useMemo(() => {
+    const kinds = Array.from(new Set(robustness.filter((row) => row.kind !== 'clean').map((row) => row.kind)));
+    const kind = kinds.includes(robustnessKind) ? robustnessKind : kinds[0];
+    if (!kind) return null;
+    const clean = robustness.find((row) => row.kind === 'clean');
+    const neutral = perturbationNeutral(kind);
+    const rows = robustness.filter((row) => row.kind === kind);
+    const axisTitle = { display: true, text: perturbationUnit(kind), color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } };
+
+    const build = (valueOf, yLabel, format, color) => {
+      const points = rows.map((row) => ({ x: row.level, y: valueOf(row), label: row.label, count: row.count }));
+      // Where some level means "unchanged" the clean runs join the line; otherwise they are a reference.
+      if (clean && neutral !== null) points.push({ x: neutral, y: valueOf(clean), label: 'clean', count: clean.count });
+      const data = points.filter((p) => Number.isFinite(p.y)).sort((a, b) => a.x - b.x);
+      const datasets = [{
+        label: perturbationKindLabel(kind),
+        borderColor: color,
+        backgroundColor: color,
+        showLine: true,
+        borderWidth: 2,
+        pointRadius: 4,
+        data,
+      }];
+      const cleanValue = clean ? valueOf(clean) : null;
+      if (neutral === null && Number.isFinite(cleanValue) && data.length) {
+        datasets.push({
+          label: 'Clean',
+          borderColor: 'rgba(176, 189, 208, 0.6)',
+          backgroundColor: 'rgba(176, 189, 208, 0.6)',
+          borderDash: [6, 4],
+          showLine: true,
+          borderWidth: 1.5,
+          pointRadius: 0,
+          data: [{ x: data[0].x, y: cleanValue, label: 'clean', count: clean.count }, { x: data[data.length - 1].x, y: cleanValue, label: 'clean', count: clean.count }],
+        });
+      }
+      const base = chartBase(yLabel);
+      return {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+          ...base,
+          scales: { ...base.scales, x: { ...base.scales.x, title: axisTitle } },
+          plugins: {
+            ...base.plugins,
+            tooltip: { ...base.plugins.tooltip, callbacks: { label: (ctx) => { const p = ctx.raw; return `${p.label}: ${format(p.y)} (${p.count} runs)`; } } },
+          },
+        },
+      };
+    };
+
+    return {
+      kinds,
+      kind,
+      wer: build((row) => (Number.isFinite(row.wer) ? row.wer * 100 : null), 'WER (%)', (v) => `${v.toFixed(1)}%`, 'rgba(224, 107, 127, 0.9)'),
+      latency: build((row) => row.totalMean, 'Total (ms)', ms, 'rgba(124, 166, 220, 0.9)'),
+    };
+  }, [robustness, robustnessKind]);
+  const longFormByWindow = useMemo(() => {
+    const groups = new Map();
+    okRuns.filter((r) => r.benchmarkMode === 'longform').forEach((r) => {
+      const key = `${r.longWindowSec}/${r.longOverlapSec}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+    return Array.from(groups.values())
+      .map((items) => ({
+        windowSec: items[0].longWindowSec,
+        overlapSec: items[0].longOverlapSec,
+        count: items.length,
+        audioMin: items[0].audioDurationSec / 60,
+        windowCount: items[0].windowCount,
+        totalMean: mean(items.map((r) => r.metrics?.total_ms).filter(Number.isFinite)),
+        rtfMedian: median(items.map((r) => r.metrics?.rtf).filter(Number.isFinite)),
+        windowP90: meanOf(items, 'windowLatencyP90'),
+        heapPeakMb: items.some((r) => Number.isFinite(r.heapPeakMb)) ? Math.max(...items.map((r) => r.heapPeakMb).filter(Number.isFinite)) : null,
+        bandedRuns: items.filter((r) => r.bandedSegments > 0).length,
+        unscoredRuns: items.filter((r) => r.unscoredSegments > 0).length,
+        ...aggregateErrorRates(items),
+      }))
+      .sort((a, b) => a.windowSec - b.windowSec || a.overlapSec - b.overlapSec);
+  }, [okRuns]);
+
+  const throughputByLevel = useMemo(() => {
+    const groups = new Map();
+    okRuns.filter((r) => r.benchmarkMode === 'throughput').forEach((r) => {
+      const key = `${r.throughputConcurrency}/${r.throughputInstances}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+    return Array.from(groups.values())
+      .map((items) => ({
+        concurrency: items[0].throughputConcurrency,
+        instances: items[0].throughputInstances,
+        count: items.length,
+        ...summarizeThroughput(items),
+      }))
+      .sort((a, b) => a.instances - b.instances || a.concurrency - b.concurrency);
+  }, [okRuns]);
+
+  const streamingSummary = useMemo(() => {
+    const streamed = okRuns.filter((r) => r.benchmarkMode === 'streaming');
+    return { runCount: streamed.length, ...summarizeStreaming(streamed) };
+  }, [okRuns]);
+
+  const memoryGrowth = useMemo(() => {
+    const checks = checkMemoryGrowth(okRuns);
+    return {
+      ...summarizeMemory(okRuns),
+      sampled: okRuns.some((r) => MEMORY_SERIES.some((series) => Number.isFinite(r[series.key]))),
+      checks,
+      flagged: checks.filter((check) => check.flagged),
+    };
+  }, [okRuns]);
+  const keywordStats = useMemo(() => aggregateKeywordStats(okRuns), [okRuns]);
+  const flagCounts = useMemo(() => {
+    const counts = { flagged: 0 };
+    OUTPUT_FLAGS.forEach((flag) => { counts[flag.key] = 0; });
+    okRuns.forEach((run) => {
+      if (!run.outputFlags?.length) return;
+      counts.flagged += 1;
+      run.outputFlags.forEach((flag) => { counts[flag] = (counts[flag] || 0) + 1; });
+    });
+    return counts;
+  }, [okRuns]);
+  const keywordMisses = useMemo(() => {
+    const counts = new Map();
+    okRuns.forEach((run) => (run.keywordMisses || []).forEach((term) => counts.set(term, (counts.get(term) || 0) + 1)));
+    return Array.from(counts.entries()).map(([term, count]) => ({ term, count })).sort((a, b) => b.count - a.count).slice(0, 25);
+  }, [okRuns]);
+  const confidence = useMemo(() => summarizeConfidenceIntervals(okRuns), [okRuns]);
+
+  const substitutionStats = useMemo(() => {
+    const alignments = okRuns
+      .filter((run) => run.referenceText)
+      .map((run) => alignTranscript(run.referenceText, run.transcription, getTextNormalizer(run.normalizer, run.normalizerOptions)));
+    return topConfusions(alignments, { limit: 25 });
+  }, [okRuns]);
+
   const sampleStats = useMemo(() => {
     const map = new Map();
     okRuns.forEach((run) => {
@@ -1249,7 +3075,10 @@ export default function App() {
         total: [],
         exact: [],
         sim: [],
+        shift: [],
         texts: [],
+        confidence: [],
+        scoredRuns: [],
       };
       if (Number.isFinite(run.metrics?.preprocess_ms)) entry.preprocess.push(run.metrics.preprocess_ms);
       if (Number.isFinite(run.metrics?.encode_ms)) entry.encode.push(run.metrics.encode_ms);
@@ -1261,7 +3090,10 @@ export default function App() {
       if (Number.isFinite(run.metrics?.total_ms)) entry.total.push(run.metrics.total_ms);
       if (typeof run.exactMatchToFirst === 'boolean') entry.exact.push(run.exactMatchToFirst ? 1 : 0);
       if (Number.isFinite(run.similarityToFirst)) entry.sim.push(run.similarityToFirst);
-      entry.texts.push(normalizeText(run.transcription || ''));
+      if (Number.isFinite(run.boundaryShiftToFirstMs)) entry.shift.push(run.boundaryShiftToFirstMs);
+      if (Number.isFinite(run.meanWordConfidence)) entry.confidence.push(run.meanWordConfidence);
+      entry.texts.push(normalizeText(run.transcription || '', run.normalizerOptions));
+      entry.scoredRuns.push(run);
       map.set(run.sampleKey, entry);
     });
 
@@ -1271,6 +3103,11 @@ export default function App() {
       uniqueOutputs: new Set(entry.texts).size,
       exactRate: entry.exact.length ? mean(entry.exact) : null,
       similarity: entry.sim.length ? mean(entry.sim) : null,
+      boundaryShiftMean: entry.shift.length ? mean(entry.shift) : null,
+      confidenceMean: entry.confidence.length ? mean(entry.confidence) : null,
+      wer: aggregateErrorRates(entry.scoredRuns).wer,
+      cer: aggregateErrorRates(entry.scoredRuns).cer,
+      keywordRecall: aggregateKeywordStats(entry.scoredRuns).keywordRecall,
       preprocessMean: entry.preprocess.length ? mean(entry.preprocess) : null,
       encodeMean: entry.encode.length ? mean(entry.encode) : null,
       decodeMean: entry.decode.length ? mean(entry.decode) : null,
@@ -1764,6 +3601,132 @@ export default function App() {
       },
     };
 
+    // ═══ Position drift: each run's total over its sample's mean, so sample length drops out ═══
+    const sampleTotals = new Map();
+    okRuns.forEach((r) => {
+      if (!Number.isFinite(r.metrics?.total_ms)) return;
+      if (!sampleTotals.has(r.sampleKey)) sampleTotals.set(r.sampleKey, []);
+      sampleTotals.get(r.sampleKey).push(r.metrics.total_ms);
+    });
+    const driftPoints = okRuns
+      .filter((r) => Number.isFinite(r.executionPosition) && Number.isFinite(r.metrics?.total_ms) && sampleTotals.get(r.sampleKey).length > 1)
+      .map((r) => ({ x: r.executionPosition, y: r.metrics.total_ms / mean(sampleTotals.get(r.sampleKey)), sampleKey: r.sampleKey, repeatIndex: r.repeatIndex }));
+    const driftFit = linearFit(driftPoints.map((p) => p.x), driftPoints.map((p) => p.y));
+    const driftX = driftPoints.map((p) => p.x);
+    const driftLine = driftX.length ? [
+      { x: Math.min(...driftX), y: driftFit.a * Math.min(...driftX) + driftFit.b },
+      { x: Math.max(...driftX), y: driftFit.a * Math.max(...driftX) + driftFit.b },
+    ] : [];
+    const driftBase = chartBase('Total / sample mean');
+    const positionDrift = {
+      type: 'scatter',
+      data: {
+        datasets: [
+          { label: 'Run', backgroundColor: 'rgba(217, 179, 122, 0.72)', pointRadius: 3, data: driftPoints },
+          { label: `Drift ${(driftFit.a * 100).toFixed(3)}% per run (R²=${driftFit.r2.toFixed(3)})`, type: 'line', borderColor: 'rgba(224, 107, 127, 0.9)', borderWidth: 2, borderDash: [6, 3], pointRadius: 0, data: driftLine, fill: false },
+        ],
+      },
+      options: {
+        ...driftBase,
+        scales: {
+          ...driftBase.scales,
+          x: { ...driftBase.scales.x, title: { display: true, text: 'Execution position', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+        },
+        plugins: {
+          ...driftBase.plugins,
+          tooltip: { ...driftBase.plugins.tooltip, callbacks: { label: (ctx) => { const p = ctx.raw; return p.sampleKey ? `#${p.x} ${p.sampleKey} run ${p.repeatIndex}: ${p.y.toFixed(3)}×` : ''; } } },
+        },
+      },
+    };
+
+    // ═══ Word boundary shift vs repeat 1 ═══
+    const shiftPoints = okRuns
+      .filter((r) => Number.isFinite(r.boundaryShiftToFirstMs))
+      .map((r) => ({ x: r.repeatIndex, y: r.boundaryShiftToFirstMs, sampleKey: r.sampleKey }));
+    const shiftBase = chartBase('Mean shift (ms)');
+    const boundaryShift = {
+      type: 'scatter',
+      data: {
+        datasets: [
+          { label: 'Boundary shift vs run 1', backgroundColor: 'rgba(155, 159, 223, 0.75)', pointRadius: 4, data: shiftPoints },
+        ],
+      },
+      options: {
+        ...shiftBase,
+        scales: {
+          ...shiftBase.scales,
+          x: { ...shiftBase.scales.x, ticks: { ...shiftBase.scales.x.ticks, stepSize: 1 }, title: { display: true, text: 'Repeat', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+          y: { ...shiftBase.scales.y, min: 0 },
+        },
+        plugins: {
+          ...shiftBase.plugins,
+          tooltip: { ...shiftBase.plugins.tooltip, callbacks: { label: (ctx) => { const p = ctx.raw; return `${p.sampleKey} run ${p.x}: ${p.y.toFixed(1)} ms`; } } },
+        },
+      },
+    };
+
+    // ═══ Memory after each run, in record order; batch boundaries are model reloads ═══
+    const memoryColors = ['rgba(124, 166, 220, 0.9)', 'rgba(121, 194, 159, 0.9)', 'rgba(217, 179, 122, 0.9)'];
+    const memoryBase = chartBase('MB');
+    const memoryByRun = {
+      type: 'scatter',
+      data: {
+        datasets: MEMORY_SERIES.map((series, i) => ({
+          label: series.label,
+          borderColor: memoryColors[i],
+          backgroundColor: memoryColors[i],
+          showLine: true,
+          borderWidth: 2,
+          pointRadius: 2,
+          data: okRuns
+            .map((r, idx) => ({ x: idx + 1, y: r[series.key], sampleKey: r.sampleKey, batchId: r.batchId }))
+            .filter((p) => Number.isFinite(p.y)),
+        })).filter((dataset) => dataset.data.length),
+      },
+      options: {
+        ...memoryBase,
+        scales: {
+          ...memoryBase.scales,
+          x: { ...memoryBase.scales.x, ticks: { ...memoryBase.scales.x.ticks, stepSize: 1 }, title: { display: true, text: 'Run index', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+        },
+        plugins: {
+          ...memoryBase.plugins,
+          tooltip: { ...memoryBase.plugins.tooltip, callbacks: { label: (ctx) => { const p = ctx.raw; return `${ctx.dataset.label} #${p.x} ${p.sampleKey}: ${p.y.toFixed(1)} MB`; } } },
+        },
+      },
+    };
+
+    // ═══ Warmup convergence: pass timings of each warmed-up sample (or throughput instance) ═══
+    const warmupColors = ['rgba(124, 166, 220, 0.9)', 'rgba(121, 194, 159, 0.9)', 'rgba(217, 179, 122, 0.9)', 'rgba(224, 107, 127, 0.9)', 'rgba(155, 159, 223, 0.9)', 'rgba(224, 169, 78, 0.9)'];
+    const warmedUp = warmedUpRuns(okRuns).filter((r) => r.warmupTimings?.length).slice(0, 12);
+    const warmupBase = chartBase('Pass time (ms)');
+    const warmupConvergence = {
+      type: 'scatter',
+      data: {
+        datasets: warmedUp.map((r, i) => ({
+          label: `${warmupKey(r).split('|')[1]} (${r.warmupCount}${r.warmupConverged === false ? ', hit cap' : ''})`,
+          borderColor: warmupColors[i % warmupColors.length],
+          backgroundColor: warmupColors[i % warmupColors.length],
+          showLine: true,
+          borderWidth: 2,
+          pointRadius: 3,
+          data: r.warmupTimings.map((y, idx) => ({ x: idx + 1, y })),
+        })),
+      },
+      options: {
+        ...warmupBase,
+        scales: {
+          ...warmupBase.scales,
+          x: { ...warmupBase.scales.x, ticks: { ...warmupBase.scales.x.ticks, stepSize: 1 }, title: { display: true, text: 'Warmup pass', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+          y: { ...warmupBase.scales.y, min: 0 },
+        },
+        plugins: {
+          ...warmupBase.plugins,
+          tooltip: { ...warmupBase.plugins.tooltip, callbacks: { label: (ctx) => `${ctx.dataset.label} pass ${ctx.raw.x}: ${ctx.raw.y.toFixed(1)} ms` } },
+        },
+      },
+    };
+
     // ═══ NEW CHART 7: Encode/Total Ratio vs Duration ═══
     const ratioPoints = okRuns
       .filter((r) => Number.isFinite(r.audioDurationSec) && Number.isFinite(r.metrics?.encode_ms) && Number.isFinite(r.metrics?.total_ms) && r.metrics.total_ms > 0)
@@ -1876,49 +3839,137 @@ export default function App() {
       },
     };
 
-    return { encDec, rtfxRunOrder, rtfxDuration, durPre, trend, bottleneck, compareStages, durTotal, txDecode, phaseBox, durationBucket, rtfHistogram, simDistribution, encodeRatio, throughput, sampleVar, stackedArea };
+    // ═══ Confidence: histogram + reliability curve ═══
+    const confidencePoints = okRuns.flatMap((r) => (r.words || []).filter((w) => Number.isFinite(w.confidence)));
+    const confidenceBins = calibrationCurve(confidencePoints, 20);
+    const confidenceHistBase = chartBase('Words');
+    const confidenceHist = {
+      type: 'bar',
+      data: {
+        labels: confidenceBins.bins.map((b) => b.low.toFixed(2)),
+        datasets: [{
+          label: 'Word confidence',
+          data: confidenceBins.bins.map((b) => b.count),
+          backgroundColor: 'rgba(155, 159, 223, 0.7)',
+          borderColor: 'rgba(155, 159, 223, 1)',
+          borderWidth: 1,
+        }],
+      },
+      options: {
+        ...confidenceHistBase,
+        scales: {
+          ...confidenceHistBase.scales,
+          x: { ...confidenceHistBase.scales.x, title: { display: true, text: 'Confidence (bin start)', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+        },
+      },
+    };
+
+    const calibration = calibrationCurve(confidencePoints.filter((w) => typeof w.correct === 'boolean'), 10);
+    const calibrationBase = chartBase('Word accuracy');
+    const reliability = {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: `Observed (ECE ${Number.isFinite(calibration.ece) ? (calibration.ece * 100).toFixed(1) : '-'}%)`,
+            showLine: true,
+            borderColor: 'rgba(121, 194, 159, 0.95)',
+            backgroundColor: 'rgba(121, 194, 159, 0.8)',
+            pointRadius: 4,
+            data: calibration.bins
+              .filter((b) => b.count > 0)
+              .map((b) => ({ x: b.meanConfidence, y: b.accuracy, count: b.count })),
+          },
+          {
+            label: 'Perfect calibration',
+            showLine: true,
+            borderColor: 'rgba(154, 170, 209, 0.6)',
+            borderDash: [4, 4],
+            pointRadius: 0,
+            data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+          },
+        ],
+      },
+      options: {
+        ...calibrationBase,
+        scales: {
+          x: { ...calibrationBase.scales.x, min: 0, max: 1, title: { display: true, text: 'Mean confidence', color: '#b0bdd0', font: { family: 'Inter', size: 11, weight: '600' } } },
+          y: { ...calibrationBase.scales.y, min: 0, max: 1 },
+        },
+        plugins: {
+          ...calibrationBase.plugins,
+          tooltip: { ...calibrationBase.plugins.tooltip, callbacks: { label: (ctx) => { const p = ctx.raw; return Number.isFinite(p.count) ? `conf ${(p.x * 100).toFixed(1)}% → acc ${(p.y * 100).toFixed(1)}% (${p.count} words)` : ''; } } },
+        },
+      },
+    };
+
+    return { encDec, rtfxRunOrder, rtfxDuration, durPre, trend, bottleneck, compareStages, durTotal, txDecode, phaseBox, durationBucket, rtfHistogram, simDistribution, boundaryShift, positionDrift, memoryByRun, warmupConvergence, encodeRatio, throughput, sampleVar, stackedArea, confidenceHist, reliability };
   }, [okRuns, configStats]);
 
-  const recentRuns = useMemo(() => [...runs].reverse().slice(0, 50), [runs]);
+  const recentRuns = useMemo(() => {
+    const filtered = runFilter === 'all'
+      ? runs
+      : runs.filter((r) => (runFilter === 'flagged' ? r.outputFlags?.length : r.outputFlags?.includes(runFilter)));
+    return [...filtered].reverse().slice(0, 50);
+  }, [runs, runFilter]);
+
+  const selectedRun = useMemo(() => runs.find((r) => r.id === selectedRunId) || null, [runs, selectedRunId]);
+  const selectedRunAlignment = useMemo(() => (
+    selectedRun?.referenceText
+      ? alignTranscript(selectedRun.referenceText, selectedRun.transcription, getTextNormalizer(selectedRun.normalizer, selectedRun.normalizerOptions))
+      : null
+  ), [selectedRun]);
+  const selectedRunTimeline = useMemo(() => {
+    if (!selectedRun?.words?.some((w) => Number.isFinite(w.start))) return null;
+    const lanes = [{ label: `run ${selectedRun.repeatIndex}`, words: selectedRun.words }];
+    const first = runs.find((r) => r.batchId === selectedRun.batchId && r.sampleKey === selectedRun.sampleKey && r.repeatIndex === 1);
+    if (first && first.id !== selectedRun.id && first.words?.length) {
+      lanes.push({ label: 'run 1', words: first.words });
+    }
+    return lanes;
+  }, [runs, selectedRun]);
+
+  useEffect(() => {
+    const url = selectedRun?.audioUrl;
+    setSelectedRunAudio(null);
+    if (!url) return undefined;
+    let cancelled = false;
+    decodeAudio(url)
+      .then((decoded) => { if (!cancelled) setSelectedRunAudio(decoded); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [selectedRun?.audioUrl]);
 
   const runErrors = runs.filter((r) => r.error).length;
 
-  const currentSummary = useMemo(() => {
-    const good = runs.filter((r) => !r.error && r.metrics && Number.isFinite(r.metrics.total_ms));
-    const exactValues = good.map((r) => r.exactMatchToFirst).filter((v) => typeof v === 'boolean');
-    const simValues = good.map((r) => r.similarityToFirst).filter(Number.isFinite);
-    const preprocessMean = mean(good.map((r) => r.metrics?.preprocess_ms).filter(Number.isFinite));
-    const encodeMean = mean(good.map((r) => r.metrics?.encode_ms).filter(Number.isFinite));
-    const decodeMean = mean(good.map((r) => r.metrics?.decode_ms).filter(Number.isFinite));
-    const tokenizeMean = mean(good.map((r) => r.metrics?.tokenize_ms).filter(Number.isFinite));
-    const totalMean = mean(good.map((r) => r.metrics?.total_ms).filter(Number.isFinite));
-    const rtfMedian = summarize(good.map((r) => r.metrics?.rtf).filter(Number.isFinite)).median;
-    const encodeRtfxSummary = summarize(good.map((r) => calcRtfx(r.audioDurationSec, r.metrics?.encode_ms)).filter(Number.isFinite));
-    const decodeRtfxSummary = summarize(good.map((r) => calcRtfx(r.audioDurationSec, r.metrics?.decode_ms)).filter(Number.isFinite));
-    return {
-      runCount: good.length,
-      errorCount: runs.length - good.length,
-      preprocessMean,
-      encodeMean,
-      decodeMean,
-      tokenizeMean,
-      totalMean,
-      rtfMedian,
-      encodeRtfxMedian: encodeRtfxSummary.median,
-      decodeRtfxMedian: decodeRtfxSummary.median,
-      encodeRtfxStd: encodeRtfxSummary.stddev,
-      decodeRtfxStd: decodeRtfxSummary.stddev,
-      exactRate: exactValues.length ? exactValues.filter(Boolean).length / exactValues.length : null,
-      similarityMean: simValues.length ? mean(simValues) : null,
-      preprocessShare: Number.isFinite(preprocessMean) && Number.isFinite(totalMean) && totalMean > 0 ? preprocessMean / totalMean : null,
-      decodeShare: Number.isFinite(decodeMean) && Number.isFinite(totalMean) && totalMean > 0 ? decodeMean / totalMean : null,
-    };
-  }, [runs]);
+  const currentSummary = useMemo(() => summarizeRuns(runs), [runs]);
 
   const hardwareSummary = useMemo(() => summarizeHardwareProfile(hardwareProfile), [hardwareProfile]);
 
   const compareA = useMemo(() => snapshots.find((s) => s.id === compareAId) || null, [snapshots, compareAId]);
   const compareB = useMemo(() => snapshots.find((s) => s.id === compareBId) || null, [snapshots, compareBId]);
+  const pairedStats = useMemo(() => {
+    if (!compareA || !compareB || compareA.id === compareB.id) return null;
+    const runsA = compareA.runs || [];
+    const runsB = compareB.runs || [];
+    const stageOrder = ['preprocess', 'encode', 'decode', 'total'];
+    const rows = stageOrder
+      .map((key) => SNAPSHOT_PARAM_OPTIONS.find((item) => item.key === key))
+      .map((item) => ({
+        key: item.key,
+        label: `${item.label} (${item.runField})`,
+        format: ms,
+        ...pairedComparison(runsA, runsB, meanRunMetric(item.runField)),
+      }));
+    rows.push({
+      key: 'wer',
+      label: 'WER',
+      format: pct,
+      ...pairedComparison(runsA, runsB, (list) => aggregateErrorRates(list).wer),
+    });
+    return rows;
+  }, [compareA, compareB]);
+
   const selectedParamDefs = useMemo(() => SNAPSHOT_PARAM_OPTIONS.filter((item) => selectedCompareParams.includes(item.key)), [selectedCompareParams]);
   const selectedSnapshots = useMemo(() => {
     if (!selectedSnapshotIds.length) return [];
@@ -2023,45 +4074,71 @@ export default function App() {
     return { summary, byRepeatCharts };
   }, [selectedSnapshots, selectedParamDefs]);
 
-  function defaultSnapshotLabel() {
+  function defaultSnapshotLabel(config = currentModelConfig()) {
     const now = new Date();
     const stamp = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')} ${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    return `${modelKey} | ${backend} | e:${encoderQuant} d:${decoderQuant} | preproc:${preprocessorBackend} | seed:${randomize ? String(randomSeed) : 'off'} | ${stamp}`;
+    return `${config.modelKey} | ${config.backend} | e:${config.encoderQuant} d:${config.decoderQuant} | preproc:${config.preprocessorBackend} | seed:${randomize ? String(randomSeed) : 'off'} | ${stamp}`;
   }
 
-  function saveCurrentSnapshot() {
-    if (!runs.length) {
-      setBenchStatus('No runs to snapshot');
-      return;
-    }
-    const label = snapshotName.trim() || defaultSnapshotLabel();
-    const snapshot = {
+  function buildSnapshot(snapshotRuns, config, label, extraSettings = {}) {
+    // Only attach load timings when they belong to the config the runs were made with.
+    const coldStart = loadMetricsRef.current?.configKey === sweepCellKey(config) ? loadMetricsRef.current : null;
+    const stopping = snapshotRuns.some((run) => run.batchId === lastStopRef.current?.batchId) ? lastStopRef.current : null;
+    return {
       id: `snap-${Date.now()}`,
       createdAt: new Date().toISOString(),
       label,
       settings: {
-        modelKey,
-        backend,
-        encoderQuant,
-        decoderQuant,
-        preprocessorBackend,
+        ...config,
         preprocessor: PREPROCESSOR_MODEL,
-        cpuThreads,
         datasetId,
         datasetConfig,
         datasetSplit,
+        ...(localDataset ? { localDataset: localDataset.name, localManifest: localDataset.manifestName } : {}),
+        ...(localDataset?.kind === 'url' ? { manifestBaseUrl: localDataset.base } : {}),
         offset,
         sampleCount,
         repeatCount,
         warmups,
+        warmupMode,
+        ...(warmupMode === 'adaptive' ? { warmupWindow, warmupCvPct, warmupMax } : {}),
         randomize,
         randomSeed,
+        executionOrder,
+        orderSeed: executionOrder === 'shuffle' ? orderSeed : null,
+        memoryPrecise,
+        stopRule,
+        ...(stopRule === 'time' ? { stopBudgetMin, stopMaxRuns } : {}),
+        ...(stopRule === 'precision' ? { stopMetric, stopHalfWidthPct, stopMaxRuns } : {}),
+        ...(perturbationPlan.length && (benchmarkMode === 'offline' || benchmarkMode === 'streaming') ? { perturbations: perturbationPlan.map((spec) => spec.id) } : {}),
+        ...((resamplers.length > 1 || resamplers[0] !== 'decoder') && (benchmarkMode === 'offline' || benchmarkMode === 'streaming') ? { resamplers, sourceRate } : {}),
+        scoringNormalizer,
+        textLanguage: textOptions.language,
+        stripDiacritics,
+        keywordSource,
+        inferenceMode,
+        benchmarkMode,
+        ...(benchmarkMode === 'streaming' ? { streamChunkSec, streamStrategy, streamWindowSec, streamRealtime } : {}),
+        ...(benchmarkMode === 'longform' ? { longWindows, longOverlapSec, longTargetMin, longFile: longFile?.name || null } : {}),
+        ...(benchmarkMode === 'throughput' ? { throughputLevels, throughputInstances } : {}),
+        ...extraSettings,
       },
-      summary: currentSummary,
+      summary: { ...summarizeRuns(snapshotRuns), ...summarizeColdStart(coldStart), ...summarizeStopping(stopping) },
+      loadMetrics: coldStart,
+      stopping,
       hardwareProfile,
       hardwareSummary,
-      runs: compactRunsForStorage(runs),
+      runs: compactRunsForStorage(snapshotRuns),
     };
+  }
+
+  function saveCurrentSnapshot() {
+    if (!runs.length) {
+      setBenchStatus('No runs to snapshot');
+      return;
+    }
+    const label = snapshotName.trim() || defaultSnapshotLabel();
+    const snapshot = buildSnapshot(runs, currentModelConfig(), label);
 
     setSnapshots((prev) => [snapshot, ...prev].slice(0, MAX_SNAPSHOTS));
     setSnapshotName('');
@@ -2098,22 +4175,53 @@ export default function App() {
     { key: 'encoderQuant', label: 'Encoder Quant', extract: (s) => s.settings?.encoderQuant || '-' },
     { key: 'decoderQuant', label: 'Decoder Quant', extract: (s) => s.settings?.decoderQuant || '-' },
     { key: 'preprocessor', label: 'Preprocessor', extract: (s) => s.settings?.preprocessorBackend || '-' },
+    { key: 'inferenceMode', label: 'Inference thread', extract: (s) => s.settings?.inferenceMode || 'main' },
+    { key: 'benchmarkMode', label: 'Mode', extract: describeBenchmarkMode },
+    { key: 'executionOrder', label: 'Run order', extract: (s) => s.settings?.executionOrder || 'sequential' },
     { key: 'gpu', label: 'GPU', extract: (s) => s.hardwareSummary?.gpuModelLabel || s.hardwareSummary?.gpuLabel || '-' },
     { key: 'cpu', label: 'CPU', extract: (s) => s.hardwareSummary?.cpuLabel || '-' },
-    { key: 'dataset', label: 'Dataset', extract: (s) => `${s.settings?.datasetId || '-'}/${s.settings?.datasetConfig || '-'}` },
+    { key: 'dataset', label: 'Dataset', extract: (s) => (s.settings?.localDataset ? `local/${s.settings.localDataset}` : `${s.settings?.datasetId || '-'}/${s.settings?.datasetConfig || '-'}`) },
+    { key: 'normalizer', label: 'Normalizer', extract: (s) => s.settings?.scoringNormalizer || DEFAULT_NORMALIZER },
+    { key: 'resampler', label: 'Resampler', extract: (s) => (s.settings?.resamplers || ['decoder']).map(resamplerLabel).join(' + ') },
   ];
 
   const PIVOT_METRICS = [
-    { key: 'totalMean', label: 'Total (ms)', format: ms, lowerBetter: true },
+    { key: 'totalMean', label: 'Total (ms)', format: ms, lowerBetter: true, ciKey: 'totalMeanCi' },
+    { key: 'totalMedian', label: 'Total p50 (ms)', format: ms, lowerBetter: true, ciKey: 'totalMedianCi' },
     { key: 'preprocessMean', label: 'Preprocess (ms)', format: ms, lowerBetter: true },
     { key: 'encodeMean', label: 'Encode (ms)', format: ms, lowerBetter: true },
     { key: 'decodeMean', label: 'Decode (ms)', format: ms, lowerBetter: true },
     { key: 'tokenizeMean', label: 'Tokenize (ms)', format: ms, lowerBetter: true },
-    { key: 'rtfMedian', label: 'RTF Median', format: (v) => Number.isFinite(v) ? `${v.toFixed(2)}×` : '-', lowerBetter: false },
+    { key: 'decodeStd', label: 'Decode σ (ms)', format: ms, lowerBetter: true },
+    { key: 'wallMean', label: 'Wall (ms)', format: ms, lowerBetter: true },
+    { key: 'rtfMedian', label: 'RTF Median', format: rtfTimes, lowerBetter: false, ciKey: 'rtfMedianCi' },
     { key: 'encodeRtfxMedian', label: 'Enc RTFx', format: rtfx, lowerBetter: false },
     { key: 'decodeRtfxMedian', label: 'Dec RTFx', format: rtfx, lowerBetter: false },
     { key: 'exactRate', label: 'Exact %', format: pct, lowerBetter: false },
     { key: 'similarityMean', label: 'Sim %', format: pct, lowerBetter: false },
+    { key: 'boundaryShiftMean', label: 'TS Shift (ms)', format: ms, lowerBetter: true },
+    { key: 'wer', label: 'WER', format: pct, lowerBetter: true, ciKey: 'werCi' },
+    { key: 'cer', label: 'CER', format: pct, lowerBetter: true },
+    { key: 'keywordRecall', label: 'KW Recall', format: pct, lowerBetter: false },
+    { key: 'keywordPrecision', label: 'KW Precision', format: pct, lowerBetter: false },
+    { key: 'flaggedRate', label: 'Flagged %', format: pct, lowerBetter: true },
+    { key: 'firstTokenMean', label: 'First token (ms)', format: ms, lowerBetter: true },
+    { key: 'chunkLatencyP90Mean', label: 'Chunk p90 (ms)', format: ms, lowerBetter: true },
+    { key: 'realtimeHeadroomMean', label: 'RT headroom', format: pct, lowerBetter: false },
+    { key: 'streamFinalWerMean', label: 'Stream vs offline WER', format: pct, lowerBetter: true },
+    { key: 'windowLatencyP90Mean', label: 'Window p90 (ms)', format: ms, lowerBetter: true },
+    { key: 'heapPeakMbMax', label: 'Peak heap (MB)', format: (v) => (Number.isFinite(v) ? v.toFixed(0) : '-'), lowerBetter: true },
+    { key: 'throughputAudioPerSec', label: 'Audio s / wall s', format: rtfTimes, lowerBetter: false },
+    { key: 'throughputLatencyP99', label: 'Latency p99 (ms)', format: ms, lowerBetter: true },
+    { key: 'queueMean', label: 'Queue (ms)', format: ms, lowerBetter: true },
+    { key: 'coldStartMs', label: 'Cold start (ms)', format: ms, lowerBetter: true },
+    { key: 'resampleMean', label: 'Resample (ms)', format: ms, lowerBetter: true },
+    { key: 'perturbedWerDeltaMean', label: 'Perturbed Δ WER', format: pct, lowerBetter: true },
+    { key: 'warmupCountMean', label: 'Warmups / sample', format: (v) => (Number.isFinite(v) ? v.toFixed(1) : '-'), lowerBetter: true },
+    { key: 'memHeapAfterMbMax', label: 'Heap max (MB)', format: (v) => (Number.isFinite(v) ? v.toFixed(0) : '-'), lowerBetter: true },
+    { key: 'memGpuAfterMbMax', label: 'GPU buffers max (MB)', format: (v) => (Number.isFinite(v) ? v.toFixed(0) : '-'), lowerBetter: true },
+    { key: 'firstInferenceMs', label: 'First inference (ms)', format: ms, lowerBetter: true },
+    { key: 'revisionRateMean', label: 'Revisions / word', format: (v) => (Number.isFinite(v) ? v.toFixed(2) : '-'), lowerBetter: true },
     { key: 'runCount', label: 'Runs', format: (v) => v ?? '-', lowerBetter: false },
   ];
 
@@ -2121,6 +4229,20 @@ export default function App() {
     setPivotMetrics((prev) => prev.includes(key) ? (prev.length > 1 ? prev.filter((k) => k !== key) : prev) : [...prev, key]);
   }
 
+  function importKeywordFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const terms = parseKeywordList(e.target.result);
+      setKeywordList(terms);
+      setKeywordSource('uploaded');
+      setBenchStatus(`Loaded ${terms.length} keywords from ${file.name}`);
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
   function importJsonFile(event) {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -2141,6 +4263,18 @@ export default function App() {
         const decRtfx = good.map((r) => calcRtfx(r.audioDurationSec, r.metrics?.decode_ms)).filter(Number.isFinite);
         const exactValues = good.map((r) => r.exactMatchToFirst).filter((v) => typeof v === 'boolean');
         const simValues = good.map((r) => r.similarityToFirst).filter(Number.isFinite);
+        const shiftValues = good.map((r) => r.boundaryShiftToFirstMs).filter(Number.isFinite);
+        // Older exports predate WER scoring; rescore them from the stored texts.
+        const importNormalizer = getTextNormalizer(data.settings?.scoringNormalizer, {
+          language: data.settings?.textLanguage,
+          stripDiacritics: data.settings?.stripDiacritics,
+        });
+        const scoredGood = good.map((r) => (
+          Number.isFinite(r.wordErrors) ? r : { ...r, ...scoreTranscript(r.referenceText, r.transcription, importNormalizer) }
+        ));
+        const errorRates = aggregateErrorRates(scoredGood);
+        const keywordRates = aggregateKeywordStats(good);
+        const flagged = good.filter((r) => r.outputFlags?.length).length;
         const summary = {
           runCount: good.length,
           errorCount: runs.length - good.length,
@@ -2149,11 +4283,27 @@ export default function App() {
           decodeMean,
           tokenizeMean,
           totalMean,
+          totalMedian: median(good.map((r) => r.metrics?.total_ms).filter(Number.isFinite)),
           rtfMedian,
           encodeRtfxMedian: median(encRtfx),
           decodeRtfxMedian: median(decRtfx),
           exactRate: exactValues.length ? exactValues.filter(Boolean).length / exactValues.length : null,
           similarityMean: simValues.length ? mean(simValues) : null,
+          boundaryShiftMean: shiftValues.length ? mean(shiftValues) : null,
+          wer: errorRates.wer,
+          cer: errorRates.cer,
+          keywordRecall: keywordRates.keywordRecall,
+          keywordPrecision: keywordRates.keywordPrecision,
+          flaggedRate: good.some((r) => Array.isArray(r.outputFlags)) ? flagged / good.length : null,
+          ...summarizeStreaming(good),
+          ...summarizeLoad(good),
+          ...summarizeMemory(good),
+          ...summarizeWarmup(good),
+          ...summarizePerturbations(good),
+          ...summarizeResampling(good),
+          ...summarizeConfidenceIntervals(scoredGood),
+          ...summarizeColdStart(data.loadMetrics),
+          ...summarizeStopping(data.stopping),
         };
         const snapshot = {
           id: `import-${Date.now()}`,
@@ -2161,6 +4311,8 @@ export default function App() {
           label: file.name.replace(/\.json$/i, ''),
           settings: data.settings || {},
           summary,
+          loadMetrics: data.loadMetrics || null,
+          stopping: data.stopping || null,
           hardwareProfile: data.hardwareProfile || null,
           hardwareSummary: data.hardwareSummary || {},
           runs: runs.slice(0, 200),
@@ -2193,6 +4345,8 @@ export default function App() {
         row[`${m.key}_min`] = values.length ? Math.min(...values) : null;
         row[`${m.key}_max`] = values.length ? Math.max(...values) : null;
         row[`${m.key}_all`] = values;
+        // A CI only makes sense for one snapshot; grouped rows already show their min–max spread.
+        row[`${m.key}_ci`] = m.ciKey && items.length === 1 ? items[0].summary?.[m.ciKey] || null : null;
       });
       return row;
     });
@@ -2227,7 +4381,9 @@ export default function App() {
     if (!runs.length) return;
     const payload = {
       generatedAt: new Date().toISOString(),
-      settings: { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, preprocessor: PREPROCESSOR_MODEL, cpuThreads, datasetId, datasetConfig, datasetSplit, offset, sampleCount, repeatCount, warmups, randomize, randomSeed },
+      settings: { modelKey, backend, encoderQuant, decoderQuant, preprocessorBackend, preprocessor: PREPROCESSOR_MODEL, cpuThreads, inferenceMode, benchmarkMode, streamChunkSec, streamStrategy, streamWindowSec, streamRealtime, longWindows, longOverlapSec, longTargetMin, longFile: longFile?.name || null, throughputLevels, throughputInstances, datasetId, datasetConfig, datasetSplit, localDataset: localDataset?.name || null, offset, sampleCount, repeatCount, warmups, warmupMode, warmupWindow, warmupCvPct, warmupMax, randomize, randomSeed, executionOrder, orderSeed, memoryPrecise, stopRule, stopBudgetMin, stopMetric, stopHalfWidthPct, stopMaxRuns, perturbEnabled, perturbLevels, resamplers, sourceRate, scoringNormalizer, textLanguage: textOptions.language, stripDiacritics, keywordSource, keywordTerms: keywordPreview },
+      loadMetrics: loadMetricsRef.current?.configKey === sweepCellKey(currentModelConfig()) ? loadMetricsRef.current : null,
+      stopping: runs.some((run) => run.batchId === lastStopRef.current?.batchId) ? lastStopRef.current : null,
       hardwareProfile,
       hardwareSummary,
       runs,
@@ -2276,7 +4432,7 @@ export default function App() {
         {[
           { id: 'benchmark', label: '⚙ Benchmark' },
           { id: 'overview', label: 'Overview' },
-          { id: 'charts', label: 'Charts', count: chartConfigs ? 17 : 0 },
+          { id: 'charts', label: 'Charts', count: chartConfigs ? 20 : 0 },
           { id: 'compare', label: 'Compare', count: snapshots.length },
           { id: 'data', label: 'Data', count: runs.length },
         ].map((t) => (
@@ -2312,10 +4468,13 @@ export default function App() {
                     <label>CPU threads<input type="number" min="1" max="64" value={cpuThreads} onChange={(e) => setCpuThreads(clamp(e.target.value, cpuThreads, 1, 64))} disabled={isLoadingModel || isRunning} /></label>
                     <label className="check"><input type="checkbox" checked={enableProfiling} onChange={(e) => setEnableProfiling(e.target.checked)} disabled={isLoadingModel || isRunning} />Profiling</label>
                   </div>
-                  <button className="btn btn-primary" onClick={loadModel} disabled={isLoadingModel || isRunning || isModelReady}>{isLoadingModel ? 'Loading...' : isModelReady ? 'Model ready ✓' : 'Load model'}</button>
+                  <label>Inference thread<select value={inferenceMode} onChange={(e) => setInferenceMode(e.target.value)} disabled={isLoadingModel || isRunning}><option value="main">Main thread</option><option value="worker">Web Worker</option></select></label>
+                  {inferenceMode === 'worker' ? <p className="subtle">Model loading and transcription run in the worker. Audio decoding and resampling stay on the main thread (Web Audio is not available in workers), so only the model stages differ between the two modes.</p> : null}
+                  <button className="btn btn-primary" onClick={() => loadModel()} disabled={isLoadingModel || isRunning || isModelReady}>{isLoadingModel ? 'Loading...' : isModelReady ? 'Model ready ✓' : 'Load model'}</button>
                   <p className="status-text">{modelStatus}</p>
                   {modelProgress ? <p className="subtle">{modelProgress}</p> : null}
                   {resolvedModelInfo ? <p className="subtle">{resolvedModelInfo}</p> : null}
+                  {loadMetrics && isModelReady ? <p className="subtle">cold start {ms(loadMetrics.coldStartMs)} · {loadMetrics.cacheHits}/{loadMetrics.files.length} files cached · first inference {ms(loadMetrics.firstInferenceMs)}</p> : null}
                 </div>
               </div>
 
@@ -2323,20 +4482,39 @@ export default function App() {
               <div className="config-card">
                 <h3>Dataset</h3>
                 <div className="form-gap">
-                  <label>Source<input value={datasetId} onChange={(e) => setDatasetId(e.target.value)} disabled={isLoadingDataset || isRunning} placeholder="HuggingFace dataset ID" /></label>
-                  <div className="row-2">
-                    <label>Config<select value={datasetConfig} onChange={(e) => refreshDatasetMeta(datasetId, e.target.value, datasetSplit)} disabled={isLoadingDataset || isRunning}>{configs.map((c) => <option key={c} value={c}>{c}</option>)}</select></label>
-                    <label>Split<select value={datasetSplit} onChange={(e) => setDatasetSplit(e.target.value)} disabled={isLoadingDataset || isRunning}>{splits.map((s) => <option key={s} value={s}>{s}</option>)}</select></label>
-                  </div>
+                  {localDataset ? (
+                    <p className="subtle meta-mono">{localDataset.kind === 'url' ? `Manifest: ${localDataset.name} · audio from ${localDataset.base}` : `Local: ${localDataset.name} · ${localDataset.manifestName}`} · {localDataset.samples.length} samples{localDataset.missing.length ? ` · ${localDataset.missing.length} without audio` : ''}</p>
+                  ) : (
+                    <>
+                      <label>Source<input value={datasetId} onChange={(e) => setDatasetId(e.target.value)} disabled={isLoadingDataset || isRunning} placeholder="HuggingFace dataset ID" /></label>
+                      <div className="row-2">
+                        <label>Config<select value={datasetConfig} onChange={(e) => refreshDatasetMeta(datasetId, e.target.value, datasetSplit)} disabled={isLoadingDataset || isRunning}>{configs.map((c) => <option key={c} value={c}>{c}</option>)}</select></label>
+                        <label>Split<select value={datasetSplit} onChange={(e) => setDatasetSplit(e.target.value)} disabled={isLoadingDataset || isRunning}>{splits.map((s) => <option key={s} value={s}>{s}</option>)}</select></label>
+                      </div>
+                    </>
+                  )}
                   <div className="row-2">
                     <label>Offset<input type="number" min="0" value={offset} onChange={(e) => setOffset(clamp(e.target.value, offset, 0, 1_000_000))} disabled={isRunning} /></label>
                     <label>Samples<input type="number" min="1" value={sampleCount} onChange={(e) => setSampleCount(clamp(e.target.value, sampleCount, 1, MAX_SAMPLE_COUNT))} disabled={isRunning} /></label>
                   </div>
                   <div className="btn-group">
-                    <button className="btn" onClick={() => refreshDatasetMeta(datasetId, datasetConfig, datasetSplit, true)} disabled={isLoadingDataset || isRunning}>{isLoadingDataset ? 'Refreshing...' : 'Refresh'}</button>
+                    <button className="btn" onClick={() => refreshDatasetMeta(datasetId, datasetConfig, datasetSplit, true)} disabled={isLoadingDataset || isRunning || Boolean(localDataset)}>{isLoadingDataset ? 'Refreshing...' : 'Refresh'}</button>
                     <button className="btn" onClick={clearDatasetCache} disabled={isLoadingDataset || isRunning}>Clear cache</button>
                     <button className="btn" onClick={prepareSampleRows} disabled={isRunning || isLoadingDataset}>Preview</button>
                   </div>
+                  <div className="btn-group">
+                    <input ref={localFolderRef} type="file" webkitdirectory="" multiple style={{ display: 'none' }} onChange={importLocalFiles} />
+                    <input ref={localFilesRef} type="file" multiple accept="audio/*,.tsv,.csv,.json,.jsonl,.txt" style={{ display: 'none' }} onChange={importLocalFiles} />
+                    <button className="btn btn-sm" onClick={openLocalFolder} disabled={isRunning} title="Audio files plus a TSV, CSV, JSON or JSON-lines transcript manifest (NeMo manifests included). Nothing is uploaded or cached.">Open folder</button>
+                    <button className="btn btn-sm" onClick={() => localFilesRef.current?.click()} disabled={isRunning}>Pick files</button>
+                    {localDataset ? <button className="btn btn-sm" onClick={clearLocalDataset} disabled={isRunning}>Use hub dataset</button> : null}
+                  </div>
+                  <label>NeMo audio base URL<input value={manifestBaseUrl} onChange={(e) => setManifestBaseUrl(e.target.value)} disabled={isRunning} placeholder="https://host/data/ or /audio/" /></label>
+                  <div className="btn-group">
+                    <input ref={nemoManifestRef} type="file" accept=".jsonl,.json" style={{ display: 'none' }} onChange={importNemoManifest} />
+                    <button className="btn btn-sm" onClick={() => nemoManifestRef.current?.click()} disabled={isRunning} title="JSONL with audio_filepath, duration and text; paths resolve under the base URL. For audio on disk, use Open folder on the folder holding the manifest.">Open NeMo manifest</button>
+                    <button className="btn btn-sm" onClick={exportNemoManifest} disabled={!preparedSamples.length} title="Prepared samples as NeMo JSONL, with the latest transcription of each in pred_text. Audio from a folder is written relative to that folder, so save the manifest at its top level.">Export NeMo manifest</button>
+                  </div>
                   <p className="status-text">{datasetStatus}</p>
                   {splitCounts?.[datasetSplit]?.num_examples ? <p className="subtle">Rows: {splitCounts[datasetSplit].num_examples}</p> : null}
                 </div>
@@ -2346,12 +4524,131 @@ export default function App() {
               <div className="config-card">
                 <h3>Benchmark Run</h3>
                 <div className="form-gap">
+                  {resumableBatch && !isRunning ? (
+                    <div className="resume-banner">
+                      <p className="subtle">Unfinished batch from {new Date(resumableBatch.plan.createdAt).toLocaleString()}: {resumableBatch.savedRuns}/{resumableBatch.plan.total} runs saved ({resumableBatch.plan.settings.modelKey}, {resumableBatch.plan.settings.backend}). Starting a new batch discards it.</p>
+                      <div className="btn-group">
+                        <button className="btn btn-sm btn-primary" onClick={requestResume} disabled={isLoadingModel}>Resume batch</button>
+                        <button className="btn btn-sm" onClick={discardResumableBatch}>Discard</button>
+                      </div>
+                    </div>
+                  ) : null}
+                  <label>Mode<select value={benchmarkMode} onChange={(e) => setBenchmarkMode(e.target.value)} disabled={isRunning}><option value="offline">Offline (full clip)</option><option value="streaming">Streaming simulation</option><option value="longform">Long-form (windowed)</option><option value="throughput">Throughput (concurrent)</option></select></label>
+                  {benchmarkMode === 'streaming' ? (
+                    <>
+                      <div className="row-3">
+                        <label>Chunk<select value={streamChunkSec} onChange={(e) => setStreamChunkSec(Number(e.target.value))} disabled={isRunning}>{STREAM_CHUNK_OPTIONS.map((sec) => <option key={sec} value={sec}>{sec} s</option>)}</select></label>
+                        <label>Strategy<select value={streamStrategy} onChange={(e) => setStreamStrategy(e.target.value)} disabled={isRunning}>{STREAM_STRATEGIES.map((st) => <option key={st.key} value={st.key}>{st.label}</option>)}</select></label>
+                        <label>Window (s)<input type="number" min="2" max="60" value={streamWindowSec} onChange={(e) => setStreamWindowSec(clamp(e.target.value, streamWindowSec, 2, 60))} disabled={isRunning || streamStrategy !== 'sliding'} /></label>
+                      </div>
+                      <label className="check"><input type="checkbox" checked={streamRealtime} onChange={(e) => setStreamRealtime(e.target.checked)} disabled={isRunning} />Pace chunks in real time</label>
+                    </>
+                  ) : null}
+                  {benchmarkMode === 'throughput' ? (
+                    <>
+                      <div className="row-2">
+                        <label>Concurrent requests<input value={throughputLevels} onChange={(e) => setThroughputLevels(e.target.value)} placeholder="1, 2, 4" disabled={isRunning} /></label>
+                        <label>Model instances<input type="number" min="1" max={MAX_THROUGHPUT_INSTANCES} value={throughputInstances} onChange={(e) => setThroughputInstances(clamp(e.target.value, throughputInstances, 1, MAX_THROUGHPUT_INSTANCES))} disabled={isRunning} /></label>
+                      </div>
+                      <p className="subtle">Each level runs every sample × repeats. Each instance serves one request at a time{inferenceMode === 'main' && throughputInstances > 1 ? '; main-thread instances share one page, use Web Worker for parallel instances' : ''}.</p>
+                    </>
+                  ) : null}
+                  {benchmarkMode === 'longform' ? (
+                    <>
+                      <div className="row-3">
+                        <label>Windows (s)<input value={longWindows} onChange={(e) => setLongWindows(e.target.value)} placeholder="15, 30, 60" disabled={isRunning} /></label>
+                        <label>Overlap (s)<input type="number" min="0" max="30" value={longOverlapSec} onChange={(e) => setLongOverlapSec(clamp(e.target.value, longOverlapSec, 0, 30))} disabled={isRunning} /></label>
+                        <label>Length (min)<input type="number" min="0" max={LONG_FORM_MAX_MINUTES} value={longTargetMin} onChange={(e) => setLongTargetMin(clamp(e.target.value, longTargetMin, 0, LONG_FORM_MAX_MINUTES))} disabled={isRunning || Boolean(longFile)} title="Repeat the prepared samples until the audio is this long (0 = once)" /></label>
+                      </div>
+                      <div className="btn-group">
+                        <input ref={longFileRef} type="file" accept="audio/*" style={{ display: 'none' }} onChange={importLongFile} />
+                        <button className="btn btn-sm" onClick={() => longFileRef.current?.click()} disabled={isRunning}>{longFile ? 'Replace audio' : 'Use long file'}</button>
+                        {longFile ? <button className="btn btn-sm" onClick={clearLongFile} disabled={isRunning}>Use samples</button> : null}
+                      </div>
+                      {longFile ? (
+                        <>
+                          <p className="subtle meta-mono">{longFile.name}</p>
+                          <label>Reference transcript<textarea rows={3} value={longFileReference} onChange={(e) => setLongFileReference(e.target.value)} placeholder="optional, for WER" disabled={isRunning} /></label>
+                        </>
+                      ) : <p className="subtle">Prepared samples are joined with short gaps into one recording.</p>}
+                    </>
+                  ) : null}
                   <div className="row-3">
                     <label>Repeats<input type="number" min="1" max="100" value={repeatCount} onChange={(e) => setRepeatCount(clamp(e.target.value, repeatCount, 1, 100))} disabled={isRunning} /></label>
-                    <label>Warmups<input type="number" min="0" max="10" value={warmups} onChange={(e) => setWarmups(clamp(e.target.value, warmups, 0, 10))} disabled={isRunning} /></label>
+                    <label>Warmups<input type="number" min="0" max="10" value={warmups} onChange={(e) => setWarmups(clamp(e.target.value, warmups, 0, 10))} disabled={isRunning || warmupMode === 'adaptive'} /></label>
                     <label>Seed<input value={randomSeed} onChange={(e) => setRandomSeed(e.target.value)} placeholder="42" disabled={isRunning || !randomize} /></label>
                   </div>
-                  <label className="check"><input type="checkbox" checked={randomize} onChange={(e) => setRandomize(e.target.checked)} disabled={isRunning} />Randomize samples</label>
+                  <label>Warmup policy<select value={warmupMode} onChange={(e) => setWarmupMode(e.target.value)} disabled={isRunning}>{WARMUP_MODES.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}</select></label>
+                  {warmupMode === 'adaptive' ? (
+                    <>
+                      <div className="row-3">
+                        <label>Last k<input type="number" min="2" max="10" value={warmupWindow} onChange={(e) => setWarmupWindow(clamp(e.target.value, warmupWindow, 2, 10))} disabled={isRunning} /></label>
+                        <label>CV below %<input type="number" min="0.1" max="50" step="0.5" value={warmupCvPct} onChange={(e) => setWarmupCvPct(clamp(e.target.value, warmupCvPct, 0.1, 50))} disabled={isRunning} /></label>
+                        <label>Max<input type="number" min="1" max="50" value={warmupMax} onChange={(e) => setWarmupMax(clamp(e.target.value, warmupMax, 1, 50))} disabled={isRunning} /></label>
+                      </div>
+                      <p className="subtle">Keeps warming up until the last {warmupWindow} passes vary by less than {warmupCvPct}% (at most {warmupMax} passes).</p>
+                    </>
+                  ) : null}
+                  <div className="row-2">
+                    <label className="check"><input type="checkbox" checked={randomize} onChange={(e) => setRandomize(e.target.checked)} disabled={isRunning} />Randomize samples</label>
+                    <label className="check" title="Adds performance.measureUserAgentSpecificMemory (page + workers) around each run. Needs cross-origin isolation and waits for a garbage collection, so runs take longer."><input type="checkbox" checked={memoryPrecise} onChange={(e) => setMemoryPrecise(e.target.checked)} disabled={isRunning} />Precise memory (slow)</label>
+                  </div>
+                  <label>Stop rule<select value={stopRule} onChange={(e) => setStopRule(e.target.value)} disabled={isRunning || benchmarkMode === 'longform' || benchmarkMode === 'throughput'}>{STOP_RULES.map((r) => <option key={r.key} value={r.key}>{r.label}</option>)}</select></label>
+                  {stopRule !== 'fixed' && (benchmarkMode === 'offline' || benchmarkMode === 'streaming') ? (
+                    <>
+                      <div className="row-3">
+                        {stopRule === 'time' ? (
+                          <label>Budget (min)<input type="number" min="0.5" max="240" step="0.5" value={stopBudgetMin} onChange={(e) => setStopBudgetMin(clamp(e.target.value, stopBudgetMin, 0.5, 240))} disabled={isRunning} /></label>
+                        ) : (
+                          <>
+                            <label>Metric<select value={stopMetric} onChange={(e) => setStopMetric(e.target.value)} disabled={isRunning}>{STOP_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}</select></label>
+                            <label>CI ± below<input type="number" min="0.1" max="50" step="0.5" value={stopHalfWidthPct} onChange={(e) => setStopHalfWidthPct(clamp(e.target.value, stopHalfWidthPct, 0.1, 50))} disabled={isRunning} /></label>
+                          </>
+                        )}
+                        <label>Max runs<input type="number" min="10" max="5000" value={stopMaxRuns} onChange={(e) => setStopMaxRuns(clamp(e.target.value, stopMaxRuns, 10, 5000))} disabled={isRunning} /></label>
+                      </div>
+                      <p className="subtle">{stopRule === 'time' ? `Runs for ${stopBudgetMin} min` : `Runs until the 95% CI half-width is under ${stopHalfWidthPct}${stopMetric === 'wer' ? ' WER points' : '% of mean total'} (at least ${MIN_PRECISION_RUNS} runs, checked once per round of samples)`}, cycling the prepared samples and adding repeats, up to {stopMaxRuns} runs. Repeats are ignored; sequential order runs round-robin.{stopRule === 'precision' && stopMetric === 'wer' ? ' Repeats do not change WER, so its interval only narrows with more samples.' : ''}</p>
+                    </>
+                  ) : null}
+                  <div className="row-2">
+                    {RESAMPLERS.map((item) => (
+                      <label key={item.key} className="check"><input type="checkbox" checked={resamplers.includes(item.key)} onChange={(e) => setResamplers((prev) => (e.target.checked ? RESAMPLERS.map((r) => r.key).filter((key) => key === item.key || prev.includes(key)) : (prev.length > 1 ? prev.filter((key) => key !== item.key) : prev)))} disabled={isRunning || benchmarkMode === 'longform' || benchmarkMode === 'throughput'} />{item.label}</label>
+                    ))}
+                  </div>
+                  {resamplers.some((key) => key !== 'decoder') && (benchmarkMode === 'offline' || benchmarkMode === 'streaming') ? (
+                    <>
+                      <label>Source rate<select value={sourceRate} onChange={(e) => setSourceRate(e.target.value)} disabled={isRunning}>{SOURCE_RATES.map((item) => <option key={item.key} value={item.key}>{item.label}</option>)}</select></label>
+                      <p className="subtle">Resamplers other than the decoder decode at {sourceRate === 'native' ? 'the rate in the file header' : `${Number(sourceRate) / 1000} kHz (converted from the file with the sinc resampler)`} and resample to 16 kHz before every run, timed as a separate stage.{resamplers.length > 1 ? ` Each sample runs once per resampler (${resamplers.length}×).` : ''}</p>
+                    </>
+                  ) : null}
+                  <label className="check"><input type="checkbox" checked={perturbEnabled} onChange={(e) => setPerturbEnabled(e.target.checked)} disabled={isRunning || benchmarkMode === 'longform' || benchmarkMode === 'throughput'} />Perturbation suite</label>
+                  {perturbEnabled && (benchmarkMode === 'offline' || benchmarkMode === 'streaming') ? (
+                    <>
+                      <div className="row-2">
+                        {PERTURBATION_KINDS.map((kind) => (
+                          <label key={kind.key}>{kind.label} · {kind.unit}<input value={perturbLevels[kind.key] || ''} onChange={(e) => setPerturbLevels((prev) => ({ ...prev, [kind.key]: e.target.value }))} placeholder="off" disabled={isRunning} /></label>
+                        ))}
+                      </div>
+                      <p className="subtle">Every sample also runs once per level listed ({perturbationPlan.length} perturbations, {perturbationPlan.length + 1} variants per sample including clean). Noise is seeded per sample; babble mixes up to {BABBLE_TALKERS} other prepared samples.</p>
+                    </>
+                  ) : null}
+                  <div className="row-2">
+                    <label>Run order<select value={executionOrder} onChange={(e) => setExecutionOrder(e.target.value)} disabled={isRunning || benchmarkMode === 'longform' || benchmarkMode === 'throughput'}>{EXECUTION_ORDERS.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}</select></label>
+                    <label>Order seed<input value={orderSeed} onChange={(e) => setOrderSeed(e.target.value)} placeholder="1" disabled={isRunning || executionOrder !== 'shuffle'} /></label>
+                  </div>
+                  <label>WER normalizer<select value={scoringNormalizer} onChange={(e) => setScoringNormalizer(e.target.value)} disabled={isRunning}>{TEXT_NORMALIZERS.map((n) => <option key={n.key} value={n.key}>{n.label}</option>)}</select></label>
+                  <div className="row-2">
+                    <label>Text language<select value={textLanguage} onChange={(e) => setTextLanguage(e.target.value)} disabled={isRunning}><option value="auto">Auto ({textOptions.language || 'generic'})</option>{TEXT_LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.displayName}</option>)}</select></label>
+                    <label className="check"><input type="checkbox" checked={stripDiacritics} onChange={(e) => setStripDiacritics(e.target.checked)} disabled={isRunning} />Strip diacritics</label>
+                  </div>
+                  <div className="row-2">
+                    <label>Keywords<select value={keywordSource} onChange={(e) => setKeywordSource(e.target.value)} disabled={isRunning}>{KEYWORD_SOURCES.map((k) => <option key={k.key} value={k.key}>{k.label}</option>)}</select></label>
+                    <div className="btn-group" style={{ alignItems: 'flex-end' }}>
+                      <input ref={keywordFileRef} type="file" accept=".txt,.csv,.tsv" style={{ display: 'none' }} onChange={importKeywordFile} />
+                      <button className="btn btn-sm" onClick={() => keywordFileRef.current?.click()} disabled={isRunning}>Upload terms</button>
+                    </div>
+                  </div>
+                  {keywordSource !== 'off' ? <p className="subtle" title={keywordPreview.slice(0, 50).join(', ')}>{keywordPreview.length} terms{keywordSource === 'derived' ? ' from the previewed references' : ''}{keywordPreview.length ? `: ${keywordPreview.slice(0, 6).join(', ')}${keywordPreview.length > 6 ? ', …' : ''}` : ''}</p> : null}
                   <div className="btn-group">
                     <button className="btn btn-primary" style={{ flex: 1 }} onClick={runBenchmark} disabled={isRunning || isLoadingModel || !isModelReady}>{isRunning ? 'Running...' : 'Start benchmark'}</button>
                     <button className="btn btn-danger" onClick={stopRun} disabled={!isRunning}>Stop</button>
@@ -2399,6 +4696,50 @@ export default function App() {
               </div>
             </section>
 
+            {/* Config sweep */}
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header">
+                <h3>Config Sweep ({sweepCells.length - sweepCells.filter((cell) => sweepSkipped.includes(sweepCellKey(cell))).length} cells)</h3>
+                <div className="btn-group">
+                  <button className="btn btn-sm btn-primary" onClick={runSweep} disabled={isRunning || isLoadingModel || !sweepCells.length}>Run sweep</button>
+                  <button className="btn btn-sm" onClick={() => setShowSweep((v) => !v)}>{showSweep ? 'Collapse' : 'Expand'}</button>
+                </div>
+              </div>
+              {showSweep ? (
+                <div style={{ padding: '12px 14px' }}>
+                  <p className="subtle" style={{ marginBottom: 10 }}>Tick the values to try; an empty dimension uses the current Model &amp; Runtime setting. Every cell reloads and verifies the model, runs the prepared samples with the run plan above, and saves one snapshot. Only the newest {MAX_SNAPSHOTS} snapshots are kept.</p>
+                  {[
+                    { key: 'modelKey', label: 'Model', options: MODEL_OPTIONS.map((m) => m.key) },
+                    { key: 'backend', label: 'Backend', options: BACKENDS },
+                    { key: 'encoderQuant', label: 'Encoder', options: QUANTS },
+                    { key: 'decoderQuant', label: 'Decoder', options: QUANTS },
+                    { key: 'preprocessorBackend', label: 'Preprocessor', options: ['js', 'onnx'] },
+                  ].map((dim) => (
+                    <div key={dim.key} className="param-chips">
+                      <span className="meta-mono" style={{ minWidth: 90 }}>{dim.label}</span>
+                      {dim.options.map((option) => (
+                        <button key={option} className={`param-chip ${sweepValues[dim.key]?.includes(option) ? 'active' : ''}`} onClick={() => toggleSweepValue(dim.key, option)} disabled={isRunning}>{option}</button>
+                      ))}
+                    </div>
+                  ))}
+                  <label style={{ maxWidth: 260 }}>CPU threads (comma separated)<input value={sweepThreads} onChange={(e) => setSweepThreads(e.target.value)} placeholder={String(cpuThreads)} disabled={isRunning} /></label>
+                  <div className="table-wrap" style={{ marginTop: 10 }}>
+                    <table>
+                      <thead><tr><th>Run</th><th>#</th><th>Model</th><th>Backend</th><th>Encoder</th><th>Decoder</th><th>Preproc</th><th>Threads</th></tr></thead>
+                      <tbody>
+                        {sweepCells.map((cell, idx) => {
+                          const key = sweepCellKey(cell);
+                          return (
+                            <tr key={key}><td><input type="checkbox" checked={!sweepSkipped.includes(key)} onChange={() => toggleSweepCell(cell)} disabled={isRunning} /></td><td>{idx + 1}</td><td>{cell.modelKey}</td><td>{cell.backend}</td><td>{cell.encoderQuant}</td><td>{cell.decoderQuant}</td><td>{cell.preprocessorBackend}</td><td>{cell.cpuThreads}</td></tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ) : <div className="empty-row">Click Expand to pick backend/quant/thread combinations to sweep.</div>}
+            </section>
+
             {/* Prepared samples preview */}
             <section className="table-panel" style={{ marginTop: 12 }}>
               <div className="table-header">
@@ -2412,7 +4753,7 @@ export default function App() {
                       <thead><tr><th>Sample</th><th>Speaker</th><th>Gender</th><th>Speed</th><th>Volume</th><th>Reference</th></tr></thead>
                       <tbody>
                         {preparedSamples.map((s) => (
-                          <tr key={`${s.rowIndex}-${s.audioUrl}`}><td>{datasetSplit}:{s.rowIndex}</td><td>{s.speaker || '-'}</td><td>{s.gender || '-'}</td><td>{Number.isFinite(s.speed) ? s.speed.toFixed(2) : '-'}</td><td>{Number.isFinite(s.volume) ? s.volume.toFixed(2) : '-'}</td><td className="text-cell">{s.referenceText || '-'}</td></tr>
+                          <tr key={`${s.rowIndex}-${s.audioUrl}`}><td>{sampleSplit}:{s.rowIndex}</td><td>{s.speaker || '-'}</td><td>{s.gender || '-'}</td><td>{Number.isFinite(s.speed) ? s.speed.toFixed(2) : '-'}</td><td>{Number.isFinite(s.volume) ? s.volume.toFixed(2) : '-'}</td><td className="text-cell">{s.referenceText || '-'}</td></tr>
                         ))}
                       </tbody>
                     </table>
@@ -2427,16 +4768,183 @@ export default function App() {
         {activeTab === 'overview' && (
           <div className="fade-in">
             <div className="kpi-row">
-              <div className="kpi-card teal"><div className="kpi-label">Total</div><div className="kpi-value">{ms(metrics.total.mean)}</div><div className="kpi-sub">p90 {ms(metrics.total.p90)}</div></div>
+              <div className="kpi-card teal"><div className="kpi-label">Total</div><div className="kpi-value">{ms(metrics.total.mean)}</div><div className="kpi-sub">p90 {ms(metrics.total.p90)}</div><div className="kpi-sub">95% CI {ciRange(confidence.totalMeanCi, ms)}</div></div>
+              <div className="kpi-card purple"><div className="kpi-label">Total Median</div><div className="kpi-value">{ms(metrics.total.median)}</div><div className="kpi-sub">95% CI {ciRange(confidence.totalMedianCi, ms)}</div></div>
               <div className="kpi-card green"><div className="kpi-label">Preprocess</div><div className="kpi-value">{ms(metrics.preprocess.mean)}</div><div className="kpi-sub">share {pct(Number.isFinite(metrics.preprocess.mean) && Number.isFinite(metrics.total.mean) && metrics.total.mean > 0 ? metrics.preprocess.mean / metrics.total.mean : null)}</div></div>
               <div className="kpi-card orange"><div className="kpi-label">Decode</div><div className="kpi-value">{ms(metrics.decode.mean)}</div><div className="kpi-sub">std {ms(metrics.decode.stddev)}</div></div>
               <div className="kpi-card teal"><div className="kpi-label">Encode</div><div className="kpi-value">{ms(metrics.encode.mean)}</div><div className="kpi-sub">Tokenize {ms(metrics.tokenize.mean)}</div></div>
-              <div className="kpi-card orange"><div className="kpi-label">Repeatability</div><div className="kpi-value">{pct(repeatability.exactRate)}</div><div className="kpi-sub">sim {pct(repeatability.similarityMean)}</div></div>
-              <div className="kpi-card purple"><div className="kpi-label">RTF Median</div><div className="kpi-value">{Number.isFinite(metrics.rtf.median) ? `${metrics.rtf.median.toFixed(2)}×` : '-'}</div><div className="kpi-sub">avg dur {Number.isFinite(mean(okRuns.map((r) => r.audioDurationSec).filter(Number.isFinite))) ? mean(okRuns.map((r) => r.audioDurationSec).filter(Number.isFinite)).toFixed(2) : '-'} s</div></div>
+              <div className="kpi-card orange"><div className="kpi-label">Repeatability</div><div className="kpi-value">{pct(repeatability.exactRate)}</div><div className="kpi-sub">sim {pct(repeatability.similarityMean)}</div><div className="kpi-sub">word shift {ms(repeatability.boundaryShiftMean)} · p90 {ms(repeatability.boundaryShiftP90)}</div></div>
+              <div className="kpi-card purple"><div className="kpi-label">RTF Median</div><div className="kpi-value">{rtfTimes(metrics.rtf.median)}</div><div className="kpi-sub">avg dur {Number.isFinite(mean(okRuns.map((r) => r.audioDurationSec).filter(Number.isFinite))) ? mean(okRuns.map((r) => r.audioDurationSec).filter(Number.isFinite)).toFixed(2) : '-'} s</div><div className="kpi-sub">95% CI {ciRange(confidence.rtfMedianCi, rtfTimes)}</div></div>
               <div className="kpi-card teal"><div className="kpi-label">Encoder RTFx</div><div className="kpi-value">{rtfx(metrics.encodeRtfx.median)}</div><div className="kpi-sub">std {rtfx(metrics.encodeRtfx.stddev)}</div></div>
               <div className="kpi-card green"><div className="kpi-label">Decoder RTFx</div><div className="kpi-value">{rtfx(metrics.decodeRtfx.median)}</div><div className="kpi-sub">std {rtfx(metrics.decodeRtfx.stddev)}</div></div>
+              <div className="kpi-card purple"><div className="kpi-label">WER</div><div className="kpi-value">{pct(accuracy.wer)}</div><div className="kpi-sub">S {accuracy.substitutions} · D {accuracy.deletions} · I {accuracy.insertions} / {accuracy.referenceWords} words</div><div className="kpi-sub">95% CI {ciRange(confidence.werCi, pct)}</div></div>
+              <div className="kpi-card orange"><div className="kpi-label">CER</div><div className="kpi-value">{pct(accuracy.cer)}</div><div className="kpi-sub">{accuracy.scoredRuns} scored runs</div></div>
+              <div className={`kpi-card ${flagCounts.flagged ? 'orange' : 'green'}`}><div className="kpi-label">Flagged Outputs</div><div className="kpi-value">{flagCounts.flagged}</div><div className="kpi-sub">{OUTPUT_FLAGS.map((flag) => `${flag.label.toLowerCase()} ${flagCounts[flag.key]}`).join(' · ')}</div></div>
+              <div className="kpi-card green"><div className="kpi-label">Keyword Recall</div><div className="kpi-value">{pct(keywordStats.keywordRecall)}</div><div className="kpi-sub">{keywordStats.keywordRecalled} / {keywordStats.keywordRefCount} terms · precision {pct(keywordStats.keywordPrecision)}</div></div>
+              {streamingSummary.runCount ? <div className="kpi-card teal"><div className="kpi-label">Streaming</div><div className="kpi-value">{ms(streamingSummary.firstTokenMean)}</div><div className="kpi-sub">first token · chunk p90 {ms(streamingSummary.chunkLatencyP90Mean)}</div><div className="kpi-sub">headroom {pct(streamingSummary.realtimeHeadroomMean)} · vs offline WER {pct(streamingSummary.streamFinalWerMean)}</div></div> : null}
+              {loadMetrics ? <div className="kpi-card purple"><div className="kpi-label">Cold Start</div><div className="kpi-value">{ms(loadMetrics.coldStartMs)}</div><div className="kpi-sub">fetch {ms(loadMetrics.fetchMs)} · sessions {ms(loadMetrics.sessionMs)}</div><div className="kpi-sub">first inference {ms(loadMetrics.firstInferenceMs)} · {rtfTimes(loadMetrics.firstInferencePenalty)} of warm</div></div> : null}
+              {lastStop && lastStop.rule !== 'fixed' && okRuns.some((r) => r.batchId === lastStop.batchId) ? <div className={`kpi-card ${lastStop.reason === 'precision' || lastStop.reason === 'time' ? 'green' : 'orange'}`}><div className="kpi-label">Stopping Rule</div><div className="kpi-value">{Number.isFinite(lastStop.precision?.halfWidth) ? `±${(lastStop.precision.halfWidth * 100).toFixed(2)}${lastStop.precision.metric === 'wer' ? ' pts' : '%'}` : '-'}</div><div className="kpi-sub">{describeStopOutcome(lastStop)}</div></div> : null}
+              {memoryGrowth.sampled ? <div className={`kpi-card ${memoryGrowth.flagged.length ? 'orange' : 'green'}`}><div className="kpi-label">Memory</div><div className="kpi-value">{memoryGrowth.flagged.length ? `${memoryGrowth.flagged.length} growing` : 'Stable'}</div><div className="kpi-sub">heap max {Number.isFinite(memoryGrowth.memHeapAfterMbMax) ? `${memoryGrowth.memHeapAfterMbMax.toFixed(0)} MB` : '-'} · GPU max {Number.isFinite(memoryGrowth.memGpuAfterMbMax) ? `${memoryGrowth.memGpuAfterMbMax.toFixed(0)} MB` : '-'}</div><div className="kpi-sub">{memoryGrowth.checks.length} series checked</div></div> : null}
             </div>
 
+            {memoryGrowth.flagged.length ? (
+              <section className="table-panel">
+                <div className="table-header"><h3>Memory Growth</h3><span className="subtle">series that rose on most steps; a possible leak in model release or the library</span></div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Scope</th><th>Series</th><th>Points</th><th>Growth</th><th>Rising steps</th></tr></thead>
+                    <tbody>
+                      {memoryGrowth.flagged.map((check) => (
+                        <tr key={`${check.scope}:${check.batchId}:${check.key}`}>
+                          <td className="meta-mono">{check.scope === 'session' ? 'across batches' : check.batchId}</td>
+                          <td>{check.label}</td>
+                          <td>{check.points}</td>
+                          <td>{`+${check.growthMb.toFixed(1)} MB`}</td>
+                          <td>{pct(check.risingShare)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
+            {loadMetrics ? (
+              <section className="table-panel">
+                <div className="table-header">
+                  <h3>Cold Start</h3>
+                  <span className="subtle">{loadMetrics.cacheMisses} downloaded ({megabytes(loadMetrics.downloadedBytes)}) · {loadMetrics.cacheHits} from cache · {loadMetrics.inferenceMode === 'worker' ? 'worker' : 'main thread'}</span>
+                </div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Phase</th><th>Detail</th><th>Size</th><th>Time</th></tr></thead>
+                    <tbody>
+                      {loadMetrics.files.map((file) => (
+                        <tr key={`file:${file.file}`}>
+                          <td>Download</td>
+                          <td>{file.file}</td>
+                          <td>{file.cached ? 'cache hit' : megabytes(file.bytes)}</td>
+                          <td>{ms(file.ms)}</td>
+                        </tr>
+                      ))}
+                      <tr><td>Fetch total</td><td>hub lookup, downloads and cache reads</td><td>{megabytes(loadMetrics.downloadedBytes)}</td><td>{ms(loadMetrics.fetchMs)}</td></tr>
+                      {loadMetrics.sessions.map((session, index) => (
+                        <tr key={`session:${index}`}><td>Session</td><td>{session.component}</td><td>-</td><td>{ms(session.ms)}</td></tr>
+                      ))}
+                      <tr><td>Model init total</td><td>runtime import, sessions and tokenizer</td><td>-</td><td>{ms(loadMetrics.sessionMs)}</td></tr>
+                      <tr><td>Verification</td><td>reference clip decode, transcription and check</td><td>-</td><td>{ms(loadMetrics.verifyMs)}</td></tr>
+                      <tr><td>First inference</td><td>{Number.isFinite(loadMetrics.referenceAudioSec) ? `${loadMetrics.referenceAudioSec.toFixed(1)} s reference clip` : 'reference clip'}{loadMetrics.preprocessorBackend === 'onnx' ? ' (includes ONNX preprocessor session)' : ''}</td><td>-</td><td>{ms(loadMetrics.firstInferenceMs)}</td></tr>
+                      <tr><td>Warm inference</td><td>same clip again</td><td>-</td><td>{ms(loadMetrics.steadyInferenceMs)}</td></tr>
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
+            {throughputByLevel.length ? (
+              <section className="table-panel">
+                <div className="table-header"><h3>Throughput</h3><span className="subtle">audio seconds transcribed per wall-clock second</span></div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Concurrent</th><th>Instances</th><th>Requests</th><th>Audio s / s</th><th>Req / s</th><th>Latency p50</th><th>p90</th><th>p99</th><th>Queue mean</th><th>Queue p90</th></tr></thead>
+                    <tbody>
+                      {throughputByLevel.map((row) => (
+                        <tr key={`${row.concurrency}/${row.instances}`}>
+                          <td>{row.concurrency}</td>
+                          <td>{row.instances}</td>
+                          <td>{row.count}</td>
+                          <td>{rtfTimes(row.audioPerWallSec)}</td>
+                          <td>{Number.isFinite(row.requestsPerSec) ? row.requestsPerSec.toFixed(2) : '-'}</td>
+                          <td>{ms(row.latencyP50)}</td>
+                          <td>{ms(row.latencyP90)}</td>
+                          <td>{ms(row.latencyP99)}</td>
+                          <td>{ms(row.queueMean)}</td>
+                          <td>{ms(row.queueP90)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
+            {longFormByWindow.length ? (
+              <section className="table-panel">
+                <div className="table-header"><h3>Long-form Windows</h3><span className="subtle">{longFormByWindow[0].audioMin.toFixed(1)} min of audio{longFormByWindow.some((row) => row.bandedRuns) ? ' · WER* aligned in a diagonal band (may overcount slightly)' : ''}</span></div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Window</th><th>Overlap</th><th>Windows</th><th>Runs</th><th>Total</th><th>RTF</th><th>Window p90</th><th>WER</th><th>CER</th><th>Peak heap</th></tr></thead>
+                    <tbody>
+                      {longFormByWindow.map((row) => (
+                        <tr key={`${row.windowSec}/${row.overlapSec}`}>
+                          <td>{row.windowSec} s</td>
+                          <td>{row.overlapSec} s</td>
+                          <td>{row.windowCount}</td>
+                          <td>{row.count}</td>
+                          <td>{ms(row.totalMean)}</td>
+                          <td>{rtfTimes(row.rtfMedian)}</td>
+                          <td>{ms(row.windowP90)}</td>
+                          <td title={row.unscoredRuns ? `${row.unscoredRuns} of ${row.count} runs could not be aligned and are left out of WER/CER` : undefined}>{Number.isFinite(row.wer) ? `${pct(row.wer)}${row.bandedRuns ? '*' : ''}` : (row.unscoredRuns ? 'unscored' : '-')}{Number.isFinite(row.wer) && row.unscoredRuns ? ` (${row.unscoredRuns} unscored)` : ''}</td>
+                          <td>{Number.isFinite(row.cer) ? `${pct(row.cer)}${row.bandedRuns ? '*' : ''}` : (row.unscoredRuns ? 'unscored' : '-')}</td>
+                          <td>{Number.isFinite(row.heapPeakMb) ? `${row.heapPeakMb.toFixed(0)} MB` : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
+            {resamplerStats.length > 1 || resamplerStats.some((row) => row.resampler !== 'decoder') ? (
+              <section className="table-panel">
+                <div className="table-header"><h3>Resampling</h3><span className="subtle">Δ WER against {resamplerStats[0].label}</span></div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Resampler</th><th>Runs</th><th>Source rate</th><th>Resample</th><th>Total</th><th>WER</th><th>Δ WER</th><th>CER</th></tr></thead>
+                    <tbody>
+                      {resamplerStats.map((row) => (
+                        <tr key={row.resampler}>
+                          <td>{row.label}</td>
+                          <td>{row.count}</td>
+                          <td>{row.sourceRates.length ? row.sourceRates.map((rate) => `${(rate / 1000).toFixed(rate % 1000 ? 2 : 0)} kHz`).join(', ') : 'in decoder'}</td>
+                          <td>{ms(row.resampleMean)}</td>
+                          <td>{ms(row.totalMean)}</td>
+                          <td>{pct(row.wer)}</td>
+                          <td>{Number.isFinite(row.werDelta) ? `${row.werDelta >= 0 ? '+' : ''}${(row.werDelta * 100).toFixed(1)} pts` : '-'}</td>
+                          <td>{pct(row.cer)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
+            {robustness.some((row) => row.kind !== 'clean') ? (
+              <section className="table-panel">
+                <div className="table-header"><h3>Robustness</h3><span className="subtle">each perturbation against the clean runs of the same samples</span></div>
+                <div className="table-wrap">
+                  <table>
+                    <thead><tr><th>Perturbation</th><th>Runs</th><th>WER</th><th>Δ WER</th><th>CER</th><th>Total</th><th>Δ Total</th><th>RTF</th></tr></thead>
+                    <tbody>
+                      {robustness.map((row) => (
+                        <tr key={row.id}>
+                          <td>{row.label}</td>
+                          <td>{row.count}</td>
+                          <td>{pct(row.wer)}</td>
+                          <td>{row.kind === 'clean' ? '-' : Number.isFinite(row.werDelta) ? `${row.werDelta >= 0 ? '+' : ''}${(row.werDelta * 100).toFixed(1)} pts` : '-'}</td>
+                          <td>{pct(row.cer)}</td>
+                          <td>{ms(row.totalMean)}</td>
+                          <td>{row.kind === 'clean' ? '-' : Number.isFinite(row.totalDelta) ? `${row.totalDelta >= 0 ? '+' : ''}${pct(row.totalDelta)}` : '-'}</td>
+                          <td>{rtfTimes(row.rtfMedian)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            ) : null}
+
             <section className="table-panel">
               <div className="table-header"><h3>Config Bottleneck</h3></div>
               <div className="table-wrap">
@@ -2458,10 +4966,10 @@ export default function App() {
               <div className="table-wrap">
                 {sampleStats.length ? (
                   <table>
-                    <thead><tr><th>Sample</th><th>Runs</th><th>Unique</th><th>Exact</th><th>Sim</th><th>Preproc</th><th>Encode</th><th>Decode</th><th>Decode σ</th><th>Enc RTFx</th><th>Dec RTFx</th><th>Total</th></tr></thead>
+                    <thead><tr><th>Sample</th><th>Runs</th><th>Unique</th><th>Exact</th><th>Sim</th><th>TS Shift</th><th>Conf</th><th>WER</th><th>CER</th><th>KW Recall</th><th>Preproc</th><th>Encode</th><th>Decode</th><th>Decode σ</th><th>Enc RTFx</th><th>Dec RTFx</th><th>Total</th></tr></thead>
                     <tbody>
                       {sampleStats.map((s) => (
-                        <tr key={s.sampleKey}><td>{s.sampleKey}</td><td>{s.runs}</td><td>{s.uniqueOutputs}</td><td>{pct(s.exactRate)}</td><td>{pct(s.similarity)}</td><td>{ms(s.preprocessMean)}</td><td>{ms(s.encodeMean)}</td><td>{ms(s.decodeMean)}</td><td>{ms(s.decodeStd)}</td><td>{rtfx(s.encodeRtfxMean)}</td><td>{rtfx(s.decodeRtfxMean)}</td><td>{ms(s.totalMean)}</td></tr>
+                        <tr key={s.sampleKey}><td>{s.sampleKey}</td><td>{s.runs}</td><td>{s.uniqueOutputs}</td><td>{pct(s.exactRate)}</td><td>{pct(s.similarity)}</td><td>{ms(s.boundaryShiftMean)}</td><td>{pct(s.confidenceMean)}</td><td>{pct(s.wer)}</td><td>{pct(s.cer)}</td><td>{pct(s.keywordRecall)}</td><td>{ms(s.preprocessMean)}</td><td>{ms(s.encodeMean)}</td><td>{ms(s.decodeMean)}</td><td>{ms(s.decodeStd)}</td><td>{rtfx(s.encodeRtfxMean)}</td><td>{rtfx(s.decodeRtfxMean)}</td><td>{ms(s.totalMean)}</td></tr>
                       ))}
                     </tbody>
                   </table>
@@ -2499,11 +5007,36 @@ export default function App() {
                 <h3 className="section-title" style={{ marginTop: 20 }}>Stability & Consistency</h3>
                 <div className="chart-grid">
                   <ChartCard title="Repeat Trend" badge="line" config={chartConfigs.trend} />
+                  <ChartCard title="Warmup Convergence" badge="line" config={chartConfigs.warmupConvergence} />
                   <ChartCard title="Throughput Over Time" badge="line" config={chartConfigs.throughput} />
                   <ChartCard title="Similarity Distribution" badge="scatter" config={chartConfigs.simDistribution} />
+                  <ChartCard title="Word Boundary Shift" badge="scatter" config={chartConfigs.boundaryShift} />
+                  <ChartCard title="Drift by Execution Position" badge="regression" config={chartConfigs.positionDrift} />
+                  <ChartCard title="Memory by Run" badge="line" config={chartConfigs.memoryByRun} />
                   <ChartCard title="Per-Sample Variance" badge="bar" config={chartConfigs.sampleVar} />
                   <ChartCard title="Phase Timeline" badge="area" config={chartConfigs.stackedArea} />
                 </div>
+
+                {robustnessCharts ? (
+                  <>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 20, marginBottom: 12 }}>
+                      <h3 className="section-title" style={{ margin: 0 }}>Robustness</h3>
+                      <select value={robustnessCharts.kind} onChange={(e) => setRobustnessKind(e.target.value)}>
+                        {robustnessCharts.kinds.map((kind) => <option key={kind} value={kind}>{perturbationKindLabel(kind)}</option>)}
+                      </select>
+                    </div>
+                    <div className="chart-grid">
+                      <ChartCard title="WER vs Perturbation Strength" badge="line" config={robustnessCharts.wer} />
+                      <ChartCard title="Latency vs Perturbation Strength" badge="line" config={robustnessCharts.latency} />
+                    </div>
+                  </>
+                ) : null}
+
+                <h3 className="section-title" style={{ marginTop: 20 }}>Confidence</h3>
+                <div className="chart-grid">
+                  <ChartCard title="Word Confidence Distribution" badge="histogram" config={chartConfigs.confidenceHist} />
+                  <ChartCard title="Reliability vs Reference" badge="calibration" config={chartConfigs.reliability} />
+                </div>
               </>
             ) : (
               <div className="empty-state"><p>Run a benchmark batch to generate charts.</p></div>
@@ -2570,6 +5103,9 @@ export default function App() {
                                     {row.count > 1 && Number.isFinite(row[`${m.key}_min`]) && Number.isFinite(row[`${m.key}_max`]) && row[`${m.key}_min`] !== row[`${m.key}_max`] ? (
                                       <span style={{ fontSize: '9px', opacity: 0.6, display: 'block' }}>{m.format(row[`${m.key}_min`])} – {m.format(row[`${m.key}_max`])}</span>
                                     ) : null}
+                                    {row[`${m.key}_ci`] ? (
+                                      <span style={{ fontSize: '9px', opacity: 0.6, display: 'block' }}>95% CI {ciRange(row[`${m.key}_ci`], m.format)}</span>
+                                    ) : null}
                                   </td>
                                 );
                               })}
@@ -2605,6 +5141,9 @@ export default function App() {
                       <tr><td>Backend</td><td>{compareA.settings?.backend || '-'}</td><td>{compareB.settings?.backend || '-'}</td><td>-</td></tr>
                       <tr><td>Quant</td><td>e:{compareA.settings?.encoderQuant || '-'} d:{compareA.settings?.decoderQuant || '-'}</td><td>e:{compareB.settings?.encoderQuant || '-'} d:{compareB.settings?.decoderQuant || '-'}</td><td>-</td></tr>
                       <tr><td>Preprocessor</td><td>{compareA.settings?.preprocessorBackend || '-'}</td><td>{compareB.settings?.preprocessorBackend || '-'}</td><td>-</td></tr>
+                      <tr><td>Inference thread</td><td>{compareA.settings?.inferenceMode || 'main'}</td><td>{compareB.settings?.inferenceMode || 'main'}</td><td>-</td></tr>
+                      <tr><td>Mode</td><td>{describeBenchmarkMode(compareA)}</td><td>{describeBenchmarkMode(compareB)}</td><td>-</td></tr>
+                      <tr><td>Run order</td><td>{compareA.settings?.executionOrder || 'sequential'}</td><td>{compareB.settings?.executionOrder || 'sequential'}</td><td>-</td></tr>
                       <tr><td>CPU</td><td>{compareA.hardwareSummary?.cpuLabel || '-'}</td><td>{compareB.hardwareSummary?.cpuLabel || '-'}</td><td>-</td></tr>
                       <tr><td>GPU</td><td>{compareA.hardwareSummary?.gpuModelLabel || '-'}</td><td>{compareB.hardwareSummary?.gpuModelLabel || '-'}</td><td>-</td></tr>
                       <tr><td>Seed</td><td>{compareA.settings?.randomize ? (compareA.settings?.randomSeed ?? 'random') : 'off'}</td><td>{compareB.settings?.randomize ? (compareB.settings?.randomSeed ?? 'random') : 'off'}</td><td>-</td></tr>
@@ -2612,11 +5151,33 @@ export default function App() {
                       <tr className={`row-selectable ${selectedCompareParams.includes('preprocess') ? 'row-selected' : ''}`} onClick={() => toggleCompareParam('preprocess')}><td>Preprocess mean</td><td>{ms(compareA.summary?.preprocessMean)}</td><td>{ms(compareB.summary?.preprocessMean)}</td><td>{deltaPercent(compareA.summary?.preprocessMean, compareB.summary?.preprocessMean, true)}</td></tr>
                       <tr className={`row-selectable ${selectedCompareParams.includes('encode') ? 'row-selected' : ''}`} onClick={() => toggleCompareParam('encode')}><td>Encode mean</td><td>{ms(compareA.summary?.encodeMean)}</td><td>{ms(compareB.summary?.encodeMean)}</td><td>{deltaPercent(compareA.summary?.encodeMean, compareB.summary?.encodeMean, true)}</td></tr>
                       <tr className={`row-selectable ${selectedCompareParams.includes('decode') ? 'row-selected' : ''}`} onClick={() => toggleCompareParam('decode')}><td>Decode mean</td><td>{ms(compareA.summary?.decodeMean)}</td><td>{ms(compareB.summary?.decodeMean)}</td><td>{deltaPercent(compareA.summary?.decodeMean, compareB.summary?.decodeMean, true)}</td></tr>
+                      <tr><td>Decode σ</td><td>{ms(compareA.summary?.decodeStd)}</td><td>{ms(compareB.summary?.decodeStd)}</td><td>{deltaPercent(compareA.summary?.decodeStd, compareB.summary?.decodeStd, true)}</td></tr>
+                      <tr><td>Wall mean</td><td>{ms(compareA.summary?.wallMean)}</td><td>{ms(compareB.summary?.wallMean)}</td><td>{deltaPercent(compareA.summary?.wallMean, compareB.summary?.wallMean, true)}</td></tr>
+                      <tr><td>Cold start</td><td>{ms(compareA.summary?.coldStartMs)}</td><td>{ms(compareB.summary?.coldStartMs)}</td><td>{deltaPercent(compareA.summary?.coldStartMs, compareB.summary?.coldStartMs, true)}</td></tr>
+                      <tr><td>Session creation</td><td>{ms(compareA.summary?.sessionMs)}</td><td>{ms(compareB.summary?.sessionMs)}</td><td>{deltaPercent(compareA.summary?.sessionMs, compareB.summary?.sessionMs, true)}</td></tr>
+                      <tr><td>First inference</td><td>{ms(compareA.summary?.firstInferenceMs)}</td><td>{ms(compareB.summary?.firstInferenceMs)}</td><td>{deltaPercent(compareA.summary?.firstInferenceMs, compareB.summary?.firstInferenceMs, true)}</td></tr>
+                      <tr><td>Stopped by</td><td>{compareA.stopping ? describeStopOutcome(compareA.stopping) : '-'}</td><td>{compareB.stopping ? describeStopOutcome(compareB.stopping) : '-'}</td><td>-</td></tr>
+                      <tr><td>Resample mean</td><td>{ms(compareA.summary?.resampleMean)}</td><td>{ms(compareB.summary?.resampleMean)}</td><td>{deltaPercent(compareA.summary?.resampleMean, compareB.summary?.resampleMean, true)}</td></tr>
+                      <tr><td>Perturbed Δ WER (mean / worst)</td><td>{pct(compareA.summary?.perturbedWerDeltaMean)} / {pct(compareA.summary?.perturbedWerDeltaMax)}</td><td>{pct(compareB.summary?.perturbedWerDeltaMean)} / {pct(compareB.summary?.perturbedWerDeltaMax)}</td><td>{deltaPercent(compareA.summary?.perturbedWerDeltaMean, compareB.summary?.perturbedWerDeltaMean, true)}</td></tr>
+                      <tr><td>Warmups per sample</td><td>{Number.isFinite(compareA.summary?.warmupCountMean) ? compareA.summary.warmupCountMean.toFixed(1) : '-'}</td><td>{Number.isFinite(compareB.summary?.warmupCountMean) ? compareB.summary.warmupCountMean.toFixed(1) : '-'}</td><td>{deltaPercent(compareA.summary?.warmupCountMean, compareB.summary?.warmupCountMean, true)}</td></tr>
+                      <tr><td>Memory growth flags</td><td>{compareA.summary?.memoryGrowthFlags ?? '-'}</td><td>{compareB.summary?.memoryGrowthFlags ?? '-'}</td><td>-</td></tr>
+                      <tr><td>Throughput (audio s / s)</td><td>{rtfTimes(compareA.summary?.throughputAudioPerSec)}</td><td>{rtfTimes(compareB.summary?.throughputAudioPerSec)}</td><td>{deltaPercent(compareA.summary?.throughputAudioPerSec, compareB.summary?.throughputAudioPerSec, false)}</td></tr>
+                      <tr><td>Latency p99 under load</td><td>{ms(compareA.summary?.throughputLatencyP99)}</td><td>{ms(compareB.summary?.throughputLatencyP99)}</td><td>{deltaPercent(compareA.summary?.throughputLatencyP99, compareB.summary?.throughputLatencyP99, true)}</td></tr>
+                      <tr><td>First token</td><td>{ms(compareA.summary?.firstTokenMean)}</td><td>{ms(compareB.summary?.firstTokenMean)}</td><td>{deltaPercent(compareA.summary?.firstTokenMean, compareB.summary?.firstTokenMean, true)}</td></tr>
+                      <tr><td>Chunk latency p90</td><td>{ms(compareA.summary?.chunkLatencyP90Mean)}</td><td>{ms(compareB.summary?.chunkLatencyP90Mean)}</td><td>{deltaPercent(compareA.summary?.chunkLatencyP90Mean, compareB.summary?.chunkLatencyP90Mean, true)}</td></tr>
+                      <tr><td>Real-time headroom</td><td>{pct(compareA.summary?.realtimeHeadroomMean)}</td><td>{pct(compareB.summary?.realtimeHeadroomMean)}</td><td>{deltaPercent(compareA.summary?.realtimeHeadroomMean, compareB.summary?.realtimeHeadroomMean, false)}</td></tr>
+                      <tr><td>Stream vs offline WER</td><td>{pct(compareA.summary?.streamFinalWerMean)}</td><td>{pct(compareB.summary?.streamFinalWerMean)}</td><td>{deltaPercent(compareA.summary?.streamFinalWerMean, compareB.summary?.streamFinalWerMean, true)}</td></tr>
                       <tr><td>RTF median</td><td>{Number.isFinite(compareA.summary?.rtfMedian) ? `${compareA.summary.rtfMedian.toFixed(2)}×` : '-'}</td><td>{Number.isFinite(compareB.summary?.rtfMedian) ? `${compareB.summary.rtfMedian.toFixed(2)}×` : '-'}</td><td>{deltaPercent(compareA.summary?.rtfMedian, compareB.summary?.rtfMedian, false)}</td></tr>
                       <tr><td>Encoder RTFx</td><td>{rtfx(compareA.summary?.encodeRtfxMedian)}</td><td>{rtfx(compareB.summary?.encodeRtfxMedian)}</td><td>{deltaPercent(compareA.summary?.encodeRtfxMedian, compareB.summary?.encodeRtfxMedian, false)}</td></tr>
                       <tr><td>Decoder RTFx</td><td>{rtfx(compareA.summary?.decodeRtfxMedian)}</td><td>{rtfx(compareB.summary?.decodeRtfxMedian)}</td><td>{deltaPercent(compareA.summary?.decodeRtfxMedian, compareB.summary?.decodeRtfxMedian, false)}</td></tr>
                       <tr><td>Exact repeat</td><td>{pct(compareA.summary?.exactRate)}</td><td>{pct(compareB.summary?.exactRate)}</td><td>{deltaPercent(compareA.summary?.exactRate, compareB.summary?.exactRate, false)}</td></tr>
                       <tr><td>Similarity</td><td>{pct(compareA.summary?.similarityMean)}</td><td>{pct(compareB.summary?.similarityMean)}</td><td>{deltaPercent(compareA.summary?.similarityMean, compareB.summary?.similarityMean, false)}</td></tr>
+                      <tr><td>Word Boundary Shift</td><td>{ms(compareA.summary?.boundaryShiftMean)}</td><td>{ms(compareB.summary?.boundaryShiftMean)}</td><td>{deltaPercent(compareA.summary?.boundaryShiftMean, compareB.summary?.boundaryShiftMean)}</td></tr>
+                      <tr><td>Normalizer</td><td>{compareA.settings?.scoringNormalizer || DEFAULT_NORMALIZER}{compareA.settings?.stripDiacritics ? ' (no diacritics)' : ''}</td><td>{compareB.settings?.scoringNormalizer || DEFAULT_NORMALIZER}{compareB.settings?.stripDiacritics ? ' (no diacritics)' : ''}</td><td>-</td></tr>
+                      <tr><td>WER</td><td>{pct(compareA.summary?.wer)}</td><td>{pct(compareB.summary?.wer)}</td><td>{deltaPercent(compareA.summary?.wer, compareB.summary?.wer, true)}</td></tr>
+                      <tr><td>CER</td><td>{pct(compareA.summary?.cer)}</td><td>{pct(compareB.summary?.cer)}</td><td>{deltaPercent(compareA.summary?.cer, compareB.summary?.cer, true)}</td></tr>
+                      <tr><td>Keyword Recall</td><td>{pct(compareA.summary?.keywordRecall)}</td><td>{pct(compareB.summary?.keywordRecall)}</td><td>{deltaPercent(compareA.summary?.keywordRecall, compareB.summary?.keywordRecall, false)}</td></tr>
+                      <tr><td>Keyword Precision</td><td>{pct(compareA.summary?.keywordPrecision)}</td><td>{pct(compareB.summary?.keywordPrecision)}</td><td>{deltaPercent(compareA.summary?.keywordPrecision, compareB.summary?.keywordPrecision, false)}</td></tr>
                       <tr><td>Runs</td><td>{compareA.summary?.runCount ?? '-'}</td><td>{compareB.summary?.runCount ?? '-'}</td><td>-</td></tr>
                     </tbody>
                   </table>
@@ -2624,6 +5185,40 @@ export default function App() {
               </div>
             </section>
 
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header">
+                <h3>Paired Significance (Wilcoxon signed-rank, α = 0.05)</h3>
+                <span className="meta-mono">runs matched by sample, repeats averaged</span>
+              </div>
+              <div className="table-wrap">
+                {pairedStats ? (
+                  <table>
+                    <thead><tr><th>Metric</th><th>Pairs</th><th>Median A</th><th>Median B</th><th>Median Δ (B − A)</th><th>p-value</th><th>Effect (r)</th><th>Verdict</th></tr></thead>
+                    <tbody>
+                      {pairedStats.map((row) => {
+                        let verdict = 'Not enough pairs';
+                        if (row.noDifference) verdict = 'No difference';
+                        else if (row.significant === true) verdict = `Significant: B ${row.direction < 0 ? 'lower' : 'higher'}`;
+                        else if (row.significant === false) verdict = 'Not significant';
+                        return (
+                          <tr key={row.key}>
+                            <td>{row.label}</td>
+                            <td>{row.pairs}</td>
+                            <td>{row.format(row.medianA)}</td>
+                            <td>{row.format(row.medianB)}</td>
+                            <td>{row.format(row.medianDiff)}{Number.isFinite(row.medianDiffPct) ? ` (${row.medianDiffPct > 0 ? '+' : ''}${(row.medianDiffPct * 100).toFixed(1)}%)` : ''}</td>
+                            <td title={row.method ? `${row.method} distribution` : ''}>{Number.isFinite(row.pValue) ? (row.pValue < 0.001 ? '<0.001' : row.pValue.toFixed(3)) : '-'}</td>
+                            <td>{Number.isFinite(row.effectSize) ? row.effectSize.toFixed(2) : '-'}</td>
+                            <td style={row.significant ? { color: row.direction < 0 ? 'var(--green)' : 'var(--red)', fontWeight: 700 } : {}}>{verdict}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                ) : <div className="empty-row">Pick two different snapshots of the same samples to test whether their differences are real.</div>}
+              </div>
+            </section>
+
             <h3 className="section-title" style={{ marginTop: 24 }}>Multi-Snapshot Comparison</h3>
             <div className="param-chips">
               {SNAPSHOT_PARAM_OPTIONS.map((opt) => (
@@ -2679,19 +5274,97 @@ export default function App() {
             <section className="table-panel">
               <div className="table-header">
                 <h3>Recent Runs ({recentRuns.length})</h3>
-                <span className="meta-mono">{okRuns.length} ok / {runErrors} errors</span>
+                <div className="btn-group">
+                  <select value={runFilter} onChange={(e) => setRunFilter(e.target.value)}>
+                    <option value="all">All runs</option>
+                    <option value="flagged">Flagged ({flagCounts.flagged})</option>
+                    {OUTPUT_FLAGS.map((flag) => <option key={flag.key} value={flag.key}>{flag.label} ({flagCounts[flag.key]})</option>)}
+                  </select>
+                  <span className="meta-mono">{okRuns.length} ok / {runErrors} errors</span>
+                </div>
               </div>
               <div className="table-wrap">
                 {recentRuns.length ? (
                   <table>
-                    <thead><tr><th>#</th><th>Sample</th><th>Rep</th><th>Dur</th><th>Preproc</th><th>Encode</th><th>Decode</th><th>Token</th><th>Total</th><th>RTF</th><th>Enc RTFx</th><th>Dec RTFx</th><th>Exact</th><th>Sim</th><th>Error</th></tr></thead>
+                    <thead><tr><th>#</th><th>Sample</th><th>Rep</th><th>Dur</th><th>Preproc</th><th>Encode</th><th>Decode</th><th>Token</th><th>Total</th><th>RTF</th><th>Enc RTFx</th><th>Dec RTFx</th><th>Exact</th><th>Sim</th><th>TS Shift</th><th>WER</th><th>CER</th><th>Flags</th><th>Error</th></tr></thead>
                     <tbody>
                       {recentRuns.map((r) => (
-                        <tr key={r.id} className={r.error ? 'row-error' : ''}><td>{r.id}</td><td>{r.sampleKey}</td><td>{r.repeatIndex}</td><td>{Number.isFinite(r.audioDurationSec) ? `${r.audioDurationSec.toFixed(2)}s` : '-'}</td><td>{ms(r.metrics?.preprocess_ms)}</td><td>{ms(r.metrics?.encode_ms)}</td><td>{ms(r.metrics?.decode_ms)}</td><td>{ms(r.metrics?.tokenize_ms)}</td><td>{ms(r.metrics?.total_ms)}</td><td>{Number.isFinite(r.metrics?.rtf) ? `${r.metrics.rtf.toFixed(1)}×` : '-'}</td><td>{rtfx(calcRtfx(r.audioDurationSec, r.metrics?.encode_ms))}</td><td>{rtfx(calcRtfx(r.audioDurationSec, r.metrics?.decode_ms))}</td><td>{typeof r.exactMatchToFirst === 'boolean' ? (r.exactMatchToFirst ? '✓' : '✗') : '-'}</td><td>{Number.isFinite(r.similarityToFirst) ? `${(r.similarityToFirst * 100).toFixed(1)}%` : '-'}</td><td className="text-cell">{r.error || '-'}</td></tr>
+                        <tr key={r.id} className={`row-selectable ${r.error ? 'row-error' : ''} ${selectedRunId === r.id ? 'row-selected' : ''}`} onClick={() => setSelectedRunId((prev) => (prev === r.id ? '' : r.id))}><td>{r.id}</td><td>{r.sampleKey}</td><td>{r.repeatIndex}</td><td>{Number.isFinite(r.audioDurationSec) ? `${r.audioDurationSec.toFixed(2)}s` : '-'}</td><td>{ms(r.metrics?.preprocess_ms)}</td><td>{ms(r.metrics?.encode_ms)}</td><td>{ms(r.metrics?.decode_ms)}</td><td>{ms(r.metrics?.tokenize_ms)}</td><td>{ms(r.metrics?.total_ms)}</td><td>{Number.isFinite(r.metrics?.rtf) ? `${r.metrics.rtf.toFixed(1)}×` : '-'}</td><td>{rtfx(calcRtfx(r.audioDurationSec, r.metrics?.encode_ms))}</td><td>{rtfx(calcRtfx(r.audioDurationSec, r.metrics?.decode_ms))}</td><td>{typeof r.exactMatchToFirst === 'boolean' ? (r.exactMatchToFirst ? '✓' : '✗') : '-'}</td><td>{Number.isFinite(r.similarityToFirst) ? `${(r.similarityToFirst * 100).toFixed(1)}%` : '-'}</td><td>{ms(r.boundaryShiftToFirstMs)}</td><td>{pct(r.wer)}</td><td>{pct(r.cer)}</td><td title={r.repeatNgram ? `repeats "${r.repeatNgram}"` : undefined}>{r.outputFlags?.length ? r.outputFlags.join(', ') : '-'}</td><td className="text-cell">{r.error || '-'}</td></tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : <div className="empty-row">{runs.length ? 'No runs match this filter.' : 'No runs yet.'}</div>}
+              </div>
+            </section>
+
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header">
+                <h3>Transcript Diff{selectedRun ? `: ${selectedRun.sampleKey} run ${selectedRun.repeatIndex}` : ''}</h3>
+                {selectedRun ? <span className="meta-mono">WER {pct(selectedRun.wer)} · S {selectedRun.substitutions ?? '-'} · D {selectedRun.deletions ?? '-'} · I {selectedRun.insertions ?? '-'}</span> : null}
+              </div>
+              {selectedRunAlignment ? (
+                <div style={{ padding: '12px 14px' }}>
+                  <div className="diff-legend">
+                    <span className="diff-word diff-sub">substitution</span>
+                    <span className="diff-word diff-del">deletion</span>
+                    <span className="diff-word diff-ins">insertion</span>
+                  </div>
+                  <p className="diff-text">
+                    {selectedRunAlignment.ops.map((item, idx) => {
+                      if (item.op === 'C') return <span key={idx} className="diff-word">{item.ref}</span>;
+                      if (item.op === 'D') return <span key={idx} className="diff-word diff-del" title="Missing from transcription">{item.ref}</span>;
+                      if (item.op === 'I') return <span key={idx} className="diff-word diff-ins" title="Not in reference">{item.hyp}</span>;
+                      return <span key={idx} className="diff-word diff-sub" title={`Reference: ${item.ref}`}>{item.hyp}</span>;
+                    })}
+                  </p>
+                </div>
+              ) : <div className="empty-row">{selectedRun ? 'This run has no reference text to align against.' : 'Click a run above to compare its transcription with the reference.'}</div>}
+            </section>
+
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header">
+                <h3>Word Timeline</h3>
+                {selectedRunTimeline ? <span className="meta-mono">lanes: {selectedRunTimeline.map((lane) => lane.label).join(' / ')}{Number.isFinite(selectedRun?.boundaryShiftToFirstMs) ? ` · mean boundary shift ${ms(selectedRun.boundaryShiftToFirstMs)}` : ''}</span> : null}
+              </div>
+              {selectedRunTimeline ? (
+                <div style={{ padding: '12px 14px' }}>
+                  <WordTimeline audio={selectedRunAudio} lanes={selectedRunTimeline} />
+                </div>
+              ) : <div className="empty-row">{selectedRun ? 'This run has no word timestamps (snapshots and older exports drop them).' : 'Click a run above to see its word timestamps under the waveform.'}</div>}
+            </section>
+
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header"><h3>Most Frequent Substitutions</h3></div>
+              <div className="table-wrap">
+                {substitutionStats.length ? (
+                  <table>
+                    <thead><tr><th>Reference</th><th>Transcribed as</th><th>Count</th></tr></thead>
+                    <tbody>
+                      {substitutionStats.map((item) => (
+                        <tr key={`${item.ref}->${item.hyp}`}><td>{item.ref}</td><td>{item.hyp}</td><td>{item.count}</td></tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : <div className="empty-row">No substitutions in the scored runs.</div>}
+              </div>
+            </section>
+
+            <section className="table-panel" style={{ marginTop: 12 }}>
+              <div className="table-header">
+                <h3>Missed Keywords</h3>
+                <span className="meta-mono">recall {pct(keywordStats.keywordRecall)} · precision {pct(keywordStats.keywordPrecision)}</span>
+              </div>
+              <div className="table-wrap">
+                {keywordMisses.length ? (
+                  <table>
+                    <thead><tr><th>Term</th><th>Missed</th></tr></thead>
+                    <tbody>
+                      {keywordMisses.map((item) => (
+                        <tr key={item.term}><td>{item.term}</td><td>{item.count}</td></tr>
                       ))}
                     </tbody>
                   </table>
-                ) : <div className="empty-row">No runs yet.</div>}
+                ) : <div className="empty-row">{keywordStats.keywordRefCount ? 'Every reference keyword was transcribed correctly.' : 'Pick a keyword source on the Benchmark tab to score domain terms.'}</div>}
               </div>
             </section>
           </div>
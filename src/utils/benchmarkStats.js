@@ -1,7 +1,8 @@
-export function normalizeText(value) {
-  return String(value || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
+import { foldText } from './unicodeText';
+
+export function normalizeText(value, options) {
+  return foldText(value, options)
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
     .replace(/\s+/g, ' ')
     .trim();
 }
@@ -39,14 +40,546 @@ export function levenshteinDistance(a, b) {
   return prev[right.length];
 }
 
-export function textSimilarity(a, b) {
-  const left = normalizeText(a);
-  const right = normalizeText(b);
+export function textSimilarity(a, b, options) {
+  const left = normalizeText(a, options);
+  const right = normalizeText(b, options);
   const maxLen = Math.max(left.length, right.length);
   if (!maxLen) return 1;
   return 1 - levenshteinDistance(left, right) / maxLen;
 }
 
+export function tokenizeWords(value, normalize = normalizeText) {
+  const text = normalize(value);
+  return text ? text.split(' ') : [];
+}
+
+export function alignWords(refWords, hypWords) {
+  const ref = refWords || [];
+  const hyp = hypWords || [];
+  const rows = ref.length + 1;
+  const cols = hyp.length + 1;
+  const cost = new Uint32Array(rows * cols);
+
+  for (let i = 0; i < rows; i += 1) cost[i * cols] = i;
+  for (let j = 0; j < cols; j += 1) cost[j] = j;
+
+  for (let i = 1; i < rows; i += 1) {
+    for (let j = 1; j < cols; j += 1) {
+      const sub = cost[(i - 1) * cols + (j - 1)] + (ref[i - 1] === hyp[j - 1] ? 0 : 1);
+      const del = cost[(i - 1) * cols + j] + 1;
+      const ins = cost[i * cols + (j - 1)] + 1;
+      cost[i * cols + j] = Math.min(sub, del, ins);
+    }
+  }
+
+  return traceAlignment(ref, hyp, (i, j) => cost[i * cols + j]);
+}
+
+const OUT_OF_BAND = 0xffffffff;
+
+// Centre column of row i in a band that runs corner to corner, so references
+// and hypotheses of different lengths still meet at (n, m).
+function bandCentre(i, n, m) {
+  return n ? Math.round((i * m) / n) : 0;
+}
+
+/**
+ * alignWords restricted to `halfWidth` columns either side of the diagonal:
+ * memory and time grow with n * halfWidth rather than n * m, which is what
+ * makes hour-long transcripts alignable. The result is exact whenever the
+ * best path stays inside the band and otherwise overcounts errors a little.
+ * Returns null if the band is too narrow to connect the corners at all.
+ */
+export function alignWordsBanded(refWords, hypWords, halfWidth) {
+  const ref = refWords || [];
+  const hyp = hypWords || [];
+  const n = ref.length;
+  const m = hyp.length;
+  // The band has to be wider than one row's step or the rows do not connect.
+  const half = Math.max(1, halfWidth, Math.ceil(m / Math.max(1, n)) + 1);
+  const width = 2 * half + 1;
+  const cost = new Uint32Array((n + 1) * width).fill(OUT_OF_BAND);
+  const at = (i, j) => {
+    if (i < 0 || j < 0) return OUT_OF_BAND;
+    const k = j - bandCentre(i, n, m) + half;
+    return k >= 0 && k < width ? cost[i * width + k] : OUT_OF_BAND;
+  };
+
+  for (let i = 0; i <= n; i += 1) {
+    const centre = bandCentre(i, n, m);
+    for (let j = Math.max(0, centre - half); j <= Math.min(m, centre + half); j += 1) {
+      let best = i === 0 && j === 0 ? 0 : OUT_OF_BAND;
+      if (i > 0 && j > 0) best = Math.min(best, at(i - 1, j - 1) + (ref[i - 1] === hyp[j - 1] ? 0 : 1));
+      if (i > 0) best = Math.min(best, at(i - 1, j) + 1);
+      if (j > 0) best = Math.min(best, at(i, j - 1) + 1);
+      cost[i * width + (j - centre + half)] = Math.min(best, OUT_OF_BAND);
+    }
+  }
+
+  return at(n, m) === OUT_OF_BAND ? null : traceAlignment(ref, hyp, at);
+}
+
+function traceAlignment(ref, hyp, at) {
+  const ops = [];
+  let hits = 0;
+  let substitutions = 0;
+  let deletions = 0;
+  let insertions = 0;
+  let i = ref.length;
+  let j = hyp.length;
+
+  // Walk back preferring diagonal moves so counts match the usual sclite-style split.
+  while (i > 0 || j > 0) {
+    const here = at(i, j);
+    if (i > 0 && j > 0) {
+      const same = ref[i - 1] === hyp[j - 1];
+      if (here === at(i - 1, j - 1) + (same ? 0 : 1)) {
+        if (same) hits += 1;
+        else substitutions += 1;
+        ops.push({ op: same ? 'C' : 'S', ref: ref[i - 1], hyp: hyp[j - 1] });
+        i -= 1;
+        j -= 1;
+        continue;
+      }
+    }
+    if (i > 0 && here === at(i - 1, j) + 1) {
+      deletions += 1;
+      ops.push({ op: 'D', ref: ref[i - 1], hyp: null });
+      i -= 1;
+    } else {
+      insertions += 1;
+      ops.push({ op: 'I', ref: null, hyp: hyp[j - 1] });
+      j -= 1;
+    }
+  }
+  ops.reverse();
+
+  return {
+    ops,
+    hits,
+    substitutions,
+    deletions,
+    insertions,
+    errors: substitutions + deletions + insertions,
+    referenceLength: ref.length,
+  };
+}
+
+/**
+ * Character edit distance inside the same corner-to-corner band as
+ * alignWordsBanded, keeping one row per side. Null when the band cannot
+ * connect the two ends.
+ */
+export function levenshteinDistanceBanded(a, b, halfWidth) {
+  const left = a || '';
+  const right = b || '';
+  const n = left.length;
+  const m = right.length;
+  const half = Math.max(1, halfWidth, Math.ceil(m / Math.max(1, n)) + 1);
+  // Band edges only move right, so columns past the previous row's band were never written.
+  let prev = new Float64Array(m + 1).fill(Infinity);
+  let curr = new Float64Array(m + 1).fill(Infinity);
+  for (let j = 0; j <= Math.min(m, bandCentre(0, n, m) + half); j += 1) prev[j] = j;
+  for (let i = 1; i <= n; i += 1) {
+    const centre = bandCentre(i, n, m);
+    const lo = Math.max(0, centre - half);
+    const hi = Math.min(m, centre + half);
+    if (lo > 0) curr[lo - 1] = Infinity;
+    for (let j = lo; j <= hi; j += 1) {
+      let best = j === 0 ? i : Infinity;
+      if (j > 0) {
+        best = Math.min(
+          prev[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1),
+          prev[j] + 1,
+          (j > lo ? curr[j - 1] : Infinity) + 1,
+        );
+      } else {
+        best = Math.min(best, prev[j] + 1);
+      }
+      curr[j] = best;
+    }
+    if (hi < m) curr[hi + 1] = Infinity;
+    [prev, curr] = [curr, prev];
+  }
+  return Number.isFinite(prev[m]) ? prev[m] : null;
+}
+
+export function alignTranscript(reference, hypothesis, normalize = normalizeText) {
+  return alignWords(tokenizeWords(reference, normalize), tokenizeWords(hypothesis, normalize));
+}
+
+export function topConfusions(alignments, { limit = 20, types = ['S'] } = {}) {
+  const counts = new Map();
+  (alignments || []).forEach((alignment) => {
+    (alignment?.ops || []).forEach((item) => {
+      if (!types.includes(item.op)) return;
+      const key = `${item.op}\u0000${item.ref ?? ''}\u0000${item.hyp ?? ''}`;
+      const entry = counts.get(key) || { op: item.op, ref: item.ref, hyp: item.hyp, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || String(a.ref ?? a.hyp).localeCompare(String(b.ref ?? b.hyp)))
+    .slice(0, limit);
+}
+
+export function scoreTranscript(reference, hypothesis, normalize = normalizeText) {
+  const refWords = tokenizeWords(reference, normalize);
+  if (!refWords.length) {
+    return {
+      wer: null,
+      cer: null,
+      wordErrors: null,
+      substitutions: null,
+      deletions: null,
+      insertions: null,
+      referenceWords: 0,
+      charErrors: null,
+      referenceChars: 0,
+    };
+  }
+
+  const hypWords = tokenizeWords(hypothesis, normalize);
+  const alignment = alignWords(refWords, hypWords);
+  const refText = refWords.join(' ');
+  const hypText = hypWords.join(' ');
+  const charErrors = levenshteinDistance(refText, hypText);
+
+  return {
+    wer: alignment.errors / refWords.length,
+    cer: charErrors / refText.length,
+    wordErrors: alignment.errors,
+    substitutions: alignment.substitutions,
+    deletions: alignment.deletions,
+    insertions: alignment.insertions,
+    referenceWords: refWords.length,
+    charErrors,
+    referenceChars: refText.length,
+  };
+}
+
+/**
+ * Corpus-level error rates: total edits over total reference length, so long
+ * utterances weigh more than short ones (matches how NeMo/jiwer report WER).
+ */
+export function aggregateErrorRates(runs) {
+  let wordErrors = 0;
+  let referenceWords = 0;
+  let charErrors = 0;
+  let referenceChars = 0;
+  let substitutions = 0;
+  let deletions = 0;
+  let insertions = 0;
+  let scored = 0;
+
+  (runs || []).forEach((run) => {
+    if (!Number.isFinite(run?.wordErrors) || !(run?.referenceWords > 0)) return;
+    scored += 1;
+    wordErrors += run.wordErrors;
+    referenceWords += run.referenceWords;
+    substitutions += Number.isFinite(run.substitutions) ? run.substitutions : 0;
+    deletions += Number.isFinite(run.deletions) ? run.deletions : 0;
+    insertions += Number.isFinite(run.insertions) ? run.insertions : 0;
+    if (Number.isFinite(run.charErrors) && run.referenceChars > 0) {
+      charErrors += run.charErrors;
+      referenceChars += run.referenceChars;
+    }
+  });
+
+  return {
+    scoredRuns: scored,
+    wer: referenceWords > 0 ? wordErrors / referenceWords : null,
+    cer: referenceChars > 0 ? charErrors / referenceChars : null,
+    wordErrors,
+    referenceWords,
+    charErrors,
+    referenceChars,
+    substitutions,
+    deletions,
+    insertions,
+  };
+}
+
+function findPhrase(tokens, phrase) {
+  const starts = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i += 1) {
+    let match = true;
+    for (let k = 0; k < phrase.length; k += 1) {
+      if (tokens[i + k] !== phrase[k]) { match = false; break; }
+    }
+    if (match) starts.push(i);
+  }
+  return starts;
+}
+
+/**
+ * Keyword recall/precision for one transcript. A reference occurrence counts
+ * as recalled only when every token of the term aligns as a hit; a term found
+ * in the hypothesis counts as correct under the same rule, so a term that
+ * appears in the wrong place is a false positive.
+ */
+export function scoreKeywords(reference, hypothesis, terms, normalize = normalizeText) {
+  const phrases = Array.from(new Set((terms || []).map((term) => tokenizeWords(term, normalize).join(' ')).filter(Boolean)))
+    .map((term) => term.split(' '));
+  const refWords = tokenizeWords(reference, normalize);
+  if (!phrases.length || !refWords.length) {
+    return { keywordRefCount: 0, keywordRecalled: 0, keywordHypCount: 0, keywordHypCorrect: 0, keywordRecall: null, keywordPrecision: null, keywordMisses: [] };
+  }
+
+  const hypWords = tokenizeWords(hypothesis, normalize);
+  const alignment = alignWords(refWords, hypWords);
+  const refHit = new Array(refWords.length).fill(false);
+  const hypHit = new Array(hypWords.length).fill(false);
+  let i = 0;
+  let j = 0;
+  alignment.ops.forEach((item) => {
+    if (item.op === 'C') {
+      refHit[i] = true;
+      hypHit[j] = true;
+    }
+    if (item.op !== 'I') i += 1;
+    if (item.op !== 'D') j += 1;
+  });
+
+  let refCount = 0;
+  let recalled = 0;
+  let hypCount = 0;
+  let hypCorrect = 0;
+  const misses = [];
+  phrases.forEach((phrase) => {
+    findPhrase(refWords, phrase).forEach((start) => {
+      refCount += 1;
+      if (refHit.slice(start, start + phrase.length).every(Boolean)) recalled += 1;
+      else misses.push(phrase.join(' '));
+    });
+    findPhrase(hypWords, phrase).forEach((start) => {
+      hypCount += 1;
+      if (hypHit.slice(start, start + phrase.length).every(Boolean)) hypCorrect += 1;
+    });
+  });
+
+  return {
+    keywordRefCount: refCount,
+    keywordRecalled: recalled,
+    keywordHypCount: hypCount,
+    keywordHypCorrect: hypCorrect,
+    keywordRecall: refCount ? recalled / refCount : null,
+    keywordPrecision: hypCount ? hypCorrect / hypCount : null,
+    keywordMisses: misses,
+  };
+}
+
+export function aggregateKeywordStats(runs) {
+  let refCount = 0;
+  let recalled = 0;
+  let hypCount = 0;
+  let hypCorrect = 0;
+  (runs || []).forEach((run) => {
+    if (!Number.isFinite(run?.keywordRefCount)) return;
+    refCount += run.keywordRefCount;
+    recalled += run.keywordRecalled || 0;
+    hypCount += run.keywordHypCount || 0;
+    hypCorrect += run.keywordHypCorrect || 0;
+  });
+  return {
+    keywordRefCount: refCount,
+    keywordRecalled: recalled,
+    keywordHypCount: hypCount,
+    keywordHypCorrect: hypCorrect,
+    keywordRecall: refCount ? recalled / refCount : null,
+    keywordPrecision: hypCount ? hypCorrect / hypCount : null,
+  };
+}
+
+export const OUTPUT_FLAGS = [
+  { key: 'empty', label: 'Empty output' },
+  { key: 'truncated', label: 'Truncated' },
+  { key: 'overlong', label: 'Overlong' },
+  { key: 'repetition', label: 'Repetition loop' },
+];
+
+export const OUTPUT_CHECK_DEFAULTS = {
+  minLengthRatio: 0.5,
+  maxLengthRatio: 1.8,
+  maxRepeats: 3,
+  // ~-46 dBFS; quieter clips are treated as silence and may legitimately transcribe to nothing.
+  silenceRms: 0.005,
+};
+
+export function audioRms(pcm) {
+  if (!pcm?.length) return null;
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i += 1) sum += pcm[i] * pcm[i];
+  return Math.sqrt(sum / pcm.length);
+}
+
+/** Longest run of back-to-back copies of any 1..maxN word n-gram ("the the the" -> 3). */
+export function longestRepeat(words, maxN = 4) {
+  let best = { count: words.length ? 1 : 0, ngram: '' };
+  for (let n = 1; n <= maxN; n += 1) {
+    for (let start = 0; start + 2 * n <= words.length; start += 1) {
+      let count = 1;
+      while (start + (count + 1) * n <= words.length) {
+        let same = true;
+        for (let k = 0; k < n; k += 1) {
+          if (words[start + k] !== words[start + count * n + k]) { same = false; break; }
+        }
+        if (!same) break;
+        count += 1;
+      }
+      if (count > best.count) best = { count, ngram: words.slice(start, start + n).join(' ') };
+    }
+  }
+  return best;
+}
+
+/**
+ * Heuristic sanity flags for one transcript: empty output on non-silent audio,
+ * a word-count ratio far from the reference, or a repetition loop the
+ * reference does not contain.
+ */
+export function detectOutputIssues({ referenceText, transcription, audioRms: rms }, normalize = normalizeText, options = {}) {
+  const limits = { ...OUTPUT_CHECK_DEFAULTS, ...options };
+  const hypWords = tokenizeWords(transcription, normalize);
+  const refWords = tokenizeWords(referenceText, normalize);
+  const flags = [];
+  const lengthRatio = refWords.length ? hypWords.length / refWords.length : null;
+
+  if (!hypWords.length) {
+    if (refWords.length || !Number.isFinite(rms) || rms >= limits.silenceRms) flags.push('empty');
+  } else if (Number.isFinite(lengthRatio)) {
+    if (lengthRatio < limits.minLengthRatio) flags.push('truncated');
+    if (lengthRatio > limits.maxLengthRatio) flags.push('overlong');
+  }
+
+  const repeat = longestRepeat(hypWords);
+  if (repeat.count >= limits.maxRepeats && repeat.count > longestRepeat(refWords).count) {
+    flags.push('repetition');
+  }
+
+  return {
+    outputFlags: flags,
+    lengthRatio,
+    repeatCount: repeat.count,
+    repeatNgram: repeat.count >= limits.maxRepeats ? repeat.ngram : null,
+  };
+}
+
+/**
+ * Mark each recognized word as correct/incorrect against the reference.
+ * Words are normalized one at a time, so normalizers that merge across words
+ * (spelled numbers) should not be used here; callers pass the basic one.
+ */
+export function labelWordCorrectness(referenceText, words, normalize = normalizeText) {
+  const list = words || [];
+  const hypTokens = [];
+  const owners = [];
+  list.forEach((word, idx) => {
+    tokenizeWords(word?.text, normalize).forEach((token) => {
+      hypTokens.push(token);
+      owners.push(idx);
+    });
+  });
+
+  const correct = list.map((word) => (tokenizeWords(word?.text, normalize).length ? true : null));
+  const alignment = alignWords(tokenizeWords(referenceText, normalize), hypTokens);
+  let hypIndex = 0;
+  alignment.ops.forEach((item) => {
+    if (item.op === 'D') return;
+    if (item.op !== 'C') correct[owners[hypIndex]] = false;
+    hypIndex += 1;
+  });
+  return correct;
+}
+
+/**
+ * Mean absolute word-boundary shift (seconds) between two timestamped word
+ * lists. Words are paired through a text alignment, so only words both runs
+ * agree on are compared; an extra or missing word does not shift the rest.
+ */
+export function wordBoundaryShift(wordsA, wordsB, normalize = normalizeText) {
+  const toTokens = (words) => {
+    const tokens = [];
+    const indices = [];
+    (words || []).forEach((word, idx) => {
+      const token = normalize(word?.text).replace(/\s+/g, '');
+      if (!token || !Number.isFinite(word?.start) || !Number.isFinite(word?.end)) return;
+      tokens.push(token);
+      indices.push(idx);
+    });
+    return { tokens, indices };
+  };
+
+  const a = toTokens(wordsA);
+  const b = toTokens(wordsB);
+  const alignment = alignWords(a.tokens, b.tokens);
+  let i = 0;
+  let j = 0;
+  let matched = 0;
+  let startShift = 0;
+  let endShift = 0;
+  alignment.ops.forEach((item) => {
+    if (item.op === 'C') {
+      const left = wordsA[a.indices[i]];
+      const right = wordsB[b.indices[j]];
+      startShift += Math.abs(left.start - right.start);
+      endShift += Math.abs(left.end - right.end);
+      matched += 1;
+    }
+    if (item.op !== 'I') i += 1;
+    if (item.op !== 'D') j += 1;
+  });
+
+  return {
+    matched,
+    meanStartShift: matched ? startShift / matched : null,
+    meanEndShift: matched ? endShift / matched : null,
+    meanShift: matched ? (startShift + endShift) / (2 * matched) : null,
+  };
+}
+
+export function calibrationCurve(points, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, idx) => ({
+    low: idx / binCount,
+    high: (idx + 1) / binCount,
+    count: 0,
+    confidenceSum: 0,
+    correctCount: 0,
+  }));
+
+  (points || []).forEach((point) => {
+    if (!Number.isFinite(point?.confidence) || typeof point.correct !== 'boolean') return;
+    const idx = Math.min(binCount - 1, Math.max(0, Math.floor(point.confidence * binCount)));
+    bins[idx].count += 1;
+    bins[idx].confidenceSum += point.confidence;
+    if (point.correct) bins[idx].correctCount += 1;
+  });
+
+  const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+  let ece = 0;
+  const out = bins.map((bin) => {
+    const meanConfidence = bin.count ? bin.confidenceSum / bin.count : null;
+    const accuracy = bin.count ? bin.correctCount / bin.count : null;
+    if (bin.count) ece += (bin.count / total) * Math.abs(accuracy - meanConfidence);
+    return {
+      low: bin.low,
+      high: bin.high,
+      count: bin.count,
+      meanConfidence,
+      accuracy,
+    };
+  });
+
+  return {
+    bins: out,
+    count: total,
+    // Expected calibration error: count-weighted gap between confidence and accuracy.
+    ece: total ? ece : null,
+  };
+}
+
 export function mean(values) {
   if (!values.length) return null;
   return values.reduce((sum, value) => sum + value, 0) / values.length;
@@ -98,6 +631,237 @@ export function summarize(values) {
   };
 }
 
+function createRng(seed) {
+  let t = seed >>> 0;
+  return function next() {
+    t += 0x6D2B79F5;
+    let x = Math.imul(t ^ (t >>> 15), t | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Percentile bootstrap CI that resamples whole samples (all repeats of a clip
+ * move together), so repeats of one utterance are not treated as independent.
+ */
+export function bootstrapCi(runs, statistic, options = {}) {
+  const {
+    groupBy = (run) => run.sampleKey,
+    confidence = 0.95,
+    seed = 12345,
+  } = options;
+  const list = runs || [];
+  const estimate = statistic(list);
+  const groups = new Map();
+  list.forEach((run) => {
+    const key = groupBy(run);
+    const bucket = groups.get(key) || [];
+    bucket.push(run);
+    groups.set(key, bucket);
+  });
+  const clusters = Array.from(groups.values());
+  if (!Number.isFinite(estimate) || clusters.length < 2) {
+    return { estimate: Number.isFinite(estimate) ? estimate : null, low: null, high: null, iterations: 0 };
+  }
+
+  // Keep the work bounded for 10k-sample batches; precision beyond ~200 draws barely moves a 95% CI.
+  const iterations = options.iterations ?? Math.max(200, Math.min(1000, Math.floor(2_000_000 / list.length)));
+  const rng = createRng(seed);
+  const stats = [];
+  for (let it = 0; it < iterations; it += 1) {
+    const resampled = [];
+    for (let k = 0; k < clusters.length; k += 1) {
+      const cluster = clusters[Math.floor(rng() * clusters.length)];
+      for (let r = 0; r < cluster.length; r += 1) resampled.push(cluster[r]);
+    }
+    const value = statistic(resampled);
+    if (Number.isFinite(value)) stats.push(value);
+  }
+  if (!stats.length) return { estimate, low: null, high: null, iterations: 0 };
+
+  const alpha = (1 - confidence) / 2;
+  return {
+    estimate,
+    low: percentile(stats, alpha * 100),
+    high: percentile(stats, (1 - alpha) * 100),
+    iterations: stats.length,
+  };
+}
+
+function runMetric(field) {
+  return (runs) => runs.map((run) => run.metrics?.[field]).filter(Number.isFinite);
+}
+
+export function summarizeConfidenceIntervals(runs) {
+  const total = runMetric('total_ms');
+  const rtf = runMetric('rtf');
+  const toRange = (ci) => (Number.isFinite(ci.low) && Number.isFinite(ci.high) ? [ci.low, ci.high] : null);
+  return {
+    totalMeanCi: toRange(bootstrapCi(runs, (list) => mean(total(list)))),
+    totalMedianCi: toRange(bootstrapCi(runs, (list) => median(total(list)))),
+    rtfMedianCi: toRange(bootstrapCi(runs, (list) => median(rtf(list)))),
+    werCi: toRange(bootstrapCi(runs, (list) => aggregateErrorRates(list).wer)),
+  };
+}
+
+function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 erf approximation (|error| < 1.5e-7).
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function exactSignedRankPValue(n, wPlus) {
+  // counts[w] = number of sign assignments whose positive-rank sum is w.
+  const maxSum = (n * (n + 1)) / 2;
+  let counts = new Float64Array(maxSum + 1);
+  counts[0] = 1;
+  for (let rank = 1; rank <= n; rank += 1) {
+    const next = new Float64Array(maxSum + 1);
+    for (let w = 0; w <= maxSum; w += 1) {
+      if (!counts[w]) continue;
+      next[w] += counts[w];
+      if (w + rank <= maxSum) next[w + rank] += counts[w];
+    }
+    counts = next;
+  }
+  const tail = Math.min(wPlus, maxSum - wPlus);
+  let below = 0;
+  for (let w = 0; w <= tail; w += 1) below += counts[w];
+  return Math.min(1, (2 * below) / 2 ** n);
+}
+
+/**
+ * Two-sided Wilcoxon signed-rank test on paired differences. Zero differences
+ * are dropped (Wilcoxon's method). Uses the exact null distribution for small
+ * tie-free samples and the tie-corrected normal approximation otherwise.
+ */
+export function wilcoxonSignedRank(diffs) {
+  const nonZero = (diffs || []).filter((d) => Number.isFinite(d) && d !== 0);
+  const n = nonZero.length;
+  if (!n) {
+    return { n: 0, wPlus: 0, wMinus: 0, z: null, pValue: null, effectSize: null, method: null };
+  }
+
+  const sorted = nonZero
+    .map((d) => ({ d, abs: Math.abs(d) }))
+    .sort((a, b) => a.abs - b.abs);
+  let tieTerm = 0;
+  let hasTies = false;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && sorted[j + 1].abs === sorted[i].abs) j += 1;
+    const avgRank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k += 1) sorted[k].rank = avgRank;
+    const t = j - i + 1;
+    if (t > 1) {
+      hasTies = true;
+      tieTerm += t ** 3 - t;
+    }
+    i = j + 1;
+  }
+
+  const wPlus = sorted.reduce((sum, item) => sum + (item.d > 0 ? item.rank : 0), 0);
+  const total = (n * (n + 1)) / 2;
+  const wMinus = total - wPlus;
+  const meanW = total / 2;
+  const varW = (n * (n + 1) * (2 * n + 1)) / 24 - tieTerm / 48;
+  const z = varW > 0
+    ? (wPlus - meanW - Math.sign(wPlus - meanW) * 0.5) / Math.sqrt(varW)
+    : 0;
+
+  const exact = !hasTies && n <= 25;
+  const pValue = exact ? exactSignedRankPValue(n, wPlus) : Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+
+  return {
+    n,
+    wPlus,
+    wMinus,
+    z,
+    pValue,
+    // Matched-pairs rank-biserial correlation: -1..1, sign follows the differences.
+    effectSize: (wPlus - wMinus) / total,
+    method: exact ? 'exact' : 'normal',
+  };
+}
+
+/**
+ * Pair two run lists by sampleKey and reduce each side to one value per sample
+ * (so repeats do not inflate n), then test B - A with Wilcoxon signed-rank.
+ * `direction` is the sign of W+ - W- (1: B higher, -1: B lower), the side the
+ * test itself leans to; the median difference can be 0 or disagree with it.
+ * `noDifference` marks pairs that were all identical, which leave nothing to test.
+ */
+export function pairedComparison(runsA, runsB, valueOf, options = {}) {
+  const { alpha = 0.05 } = options;
+  const groupBySample = (runs) => {
+    const map = new Map();
+    (runs || []).forEach((run) => {
+      if (!run?.sampleKey || run.error) return;
+      const list = map.get(run.sampleKey) || [];
+      list.push(run);
+      map.set(run.sampleKey, list);
+    });
+    return map;
+  };
+
+  const groupsA = groupBySample(runsA);
+  const groupsB = groupBySample(runsB);
+  const pairs = [];
+  groupsA.forEach((listA, sampleKey) => {
+    const listB = groupsB.get(sampleKey);
+    if (!listB) return;
+    const a = valueOf(listA);
+    const b = valueOf(listB);
+    if (Number.isFinite(a) && Number.isFinite(b)) pairs.push({ sampleKey, a, b, diff: b - a });
+  });
+
+  const test = wilcoxonSignedRank(pairs.map((pair) => pair.diff));
+  const medianA = median(pairs.map((pair) => pair.a));
+  const medianDiff = median(pairs.map((pair) => pair.diff));
+  return {
+    pairs: pairs.length,
+    medianA,
+    medianB: median(pairs.map((pair) => pair.b)),
+    medianDiff,
+    medianDiffPct: Number.isFinite(medianDiff) && Number.isFinite(medianA) && medianA !== 0
+      ? medianDiff / medianA
+      : null,
+    ...test,
+    direction: test.n ? Math.sign(test.wPlus - test.wMinus) : 0,
+    noDifference: pairs.length > 0 && test.n === 0,
+    significant: Number.isFinite(test.pValue) ? test.pValue < alpha : null,
+    alpha,
+  };
+}
+
+export function meanRunMetric(field) {
+  return (runs) => mean(runs.map((run) => run.metrics?.[field]).filter(Number.isFinite));
+}
+
+const STAGE_FIELDS = ['preprocess_ms', 'encode_ms', 'decode_ms', 'tokenize_ms', 'total_ms'];
+
+/**
+ * Add up per-call stage metrics for a result assembled from several
+ * transcribe calls (streaming chunks, long-form windows). RTF is recomputed
+ * against the whole clip rather than averaged across calls.
+ */
+export function sumStageMetrics(list, audioDurationSec) {
+  const present = list.filter(Boolean);
+  if (!present.length) return null;
+  const out = {};
+  STAGE_FIELDS.forEach((field) => {
+    const values = present.map((m) => m[field]).filter(Number.isFinite);
+    out[field] = values.length ? values.reduce((acc, v) => acc + v, 0) : null;
+  });
+  out.rtf = out.total_ms > 0 ? audioDurationSec / (out.total_ms / 1000) : null;
+  out.preprocessor_backend = present[present.length - 1].preprocessor_backend;
+  return out;
+}
+
 export function safeNumber(value) {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : null;
@@ -141,6 +905,8 @@ export function flattenRunRecord(run) {
     sample_order: run.sampleOrder,
     sample_row_index: run.rowIndex,
     repeat_index: run.repeatIndex,
+    execution_position: run.executionPosition,
+    execution_order: run.executionOrder,
     audio_duration_sec: run.audioDurationSec,
     speaker: run.speaker,
     gender: run.gender,
@@ -150,6 +916,71 @@ export function flattenRunRecord(run) {
     reference_text: run.referenceText,
     exact_match_first: run.exactMatchToFirst,
     similarity_first: run.similarityToFirst,
+    mean_word_confidence: run.meanWordConfidence,
+    mean_token_confidence: run.meanTokenConfidence,
+    boundary_shift_first_ms: run.boundaryShiftToFirstMs,
+    wer: run.wer,
+    cer: run.cer,
+    keyword_recall: run.keywordRecall,
+    keyword_precision: run.keywordPrecision,
+    keyword_ref_count: run.keywordRefCount,
+    keyword_recalled: run.keywordRecalled,
+    wall_ms: run.wallMs,
+    inference_mode: run.inferenceMode,
+    benchmark_mode: run.benchmarkMode || 'offline',
+    stream_chunk_sec: run.streamChunkSec,
+    stream_strategy: run.streamStrategy,
+    stream_window_sec: run.streamWindowSec,
+    chunk_count: run.chunkCount,
+    chunk_latency_mean_ms: run.chunkLatencyMean,
+    chunk_latency_p90_ms: run.chunkLatencyP90,
+    first_token_ms: run.firstTokenLatencyMs,
+    max_lag_ms: run.maxLagMs,
+    realtime_headroom: run.realtimeHeadroom,
+    peak_chunk_load: run.peakChunkLoad,
+    revision_rate: run.revisionRate,
+    stream_final_wer: run.streamFinalWer,
+    long_window_sec: run.longWindowSec,
+    long_overlap_sec: run.longOverlapSec,
+    window_count: run.windowCount,
+    window_latency_mean_ms: run.windowLatencyMean,
+    window_latency_p90_ms: run.windowLatencyP90,
+    heap_peak_mb: run.heapPeakMb,
+    heap_growth_mb: run.heapGrowthMb,
+    throughput_concurrency: run.throughputConcurrency,
+    throughput_instances: run.throughputInstances,
+    instance_index: run.instanceIndex,
+    queue_ms: run.queueMs,
+    latency_ms: run.latencyMs,
+    batch_end_ms: run.batchEndMs,
+    mem_heap_before_mb: run.memHeapBeforeMb,
+    mem_heap_after_mb: run.memHeapAfterMb,
+    mem_gpu_before_mb: run.memGpuBeforeMb,
+    mem_gpu_after_mb: run.memGpuAfterMb,
+    mem_agent_before_mb: run.memAgentBeforeMb,
+    mem_agent_after_mb: run.memAgentAfterMb,
+    warmup_mode: run.warmupMode,
+    warmup_count: run.warmupCount,
+    warmup_converged: run.warmupConverged,
+    warmup_final_cv: run.warmupFinalCv,
+    perturbation: run.perturbationId,
+    perturbation_kind: run.perturbationKind,
+    perturbation_level: run.perturbationLevel,
+    resampler: run.resampler,
+    source_sample_rate: run.sourceSampleRate,
+    resample_ms: run.resampleMs,
+    output_flags: Array.isArray(run.outputFlags) ? run.outputFlags.join('|') : '',
+    length_ratio: run.lengthRatio,
+    normalizer: run.normalizer,
+    text_language: run.normalizerOptions?.language,
+    strip_diacritics: run.normalizerOptions?.stripDiacritics,
+    word_errors: run.wordErrors,
+    substitutions: run.substitutions,
+    deletions: run.deletions,
+    insertions: run.insertions,
+    reference_words: run.referenceWords,
+    char_errors: run.charErrors,
+    reference_chars: run.referenceChars,
     preprocess_ms: metrics.preprocess_ms,
     encode_ms: metrics.encode_ms,
     decode_ms: metrics.decode_ms,
@@ -185,6 +1016,8 @@ export const RUN_CSV_COLUMNS = [
   'sample_order',
   'sample_row_index',
   'repeat_index',
+  'execution_position',
+  'execution_order',
   'audio_duration_sec',
   'speaker',
   'gender',
@@ -194,6 +1027,71 @@ export const RUN_CSV_COLUMNS = [
   'reference_text',
   'exact_match_first',
   'similarity_first',
+  'mean_word_confidence',
+  'mean_token_confidence',
+  'boundary_shift_first_ms',
+  'wer',
+  'cer',
+  'keyword_recall',
+  'keyword_precision',
+  'keyword_ref_count',
+  'keyword_recalled',
+  'wall_ms',
+  'inference_mode',
+  'benchmark_mode',
+  'stream_chunk_sec',
+  'stream_strategy',
+  'stream_window_sec',
+  'chunk_count',
+  'chunk_latency_mean_ms',
+  'chunk_latency_p90_ms',
+  'first_token_ms',
+  'max_lag_ms',
+  'realtime_headroom',
+  'peak_chunk_load',
+  'revision_rate',
+  'stream_final_wer',
+  'long_window_sec',
+  'long_overlap_sec',
+  'window_count',
+  'window_latency_mean_ms',
+  'window_latency_p90_ms',
+  'heap_peak_mb',
+  'heap_growth_mb',
+  'throughput_concurrency',
+  'throughput_instances',
+  'instance_index',
+  'queue_ms',
+  'latency_ms',
+  'batch_end_ms',
+  'mem_heap_before_mb',
+  'mem_heap_after_mb',
+  'mem_gpu_before_mb',
+  'mem_gpu_after_mb',
+  'mem_agent_before_mb',
+  'mem_agent_after_mb',
+  'warmup_mode',
+  'warmup_count',
+  'warmup_converged',
+  'warmup_final_cv',
+  'perturbation',
+  'perturbation_kind',
+  'perturbation_level',
+  'resampler',
+  'source_sample_rate',
+  'resample_ms',
+  'output_flags',
+  'length_ratio',
+  'normalizer',
+  'text_language',
+  'strip_diacritics',
+  'word_errors',
+  'substitutions',
+  'deletions',
+  'insertions',
+  'reference_words',
+  'char_errors',
+  'reference_chars',
   'preprocess_ms',
   'encode_ms',
   'decode_ms',
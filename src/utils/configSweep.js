@@ -0,0 +1,29 @@
+export const SWEEP_KEYS = ['modelKey', 'backend', 'encoderQuant', 'decoderQuant', 'preprocessorBackend', 'cpuThreads'];
+
+export function parseThreadList(text, max = 64) {
+  const values = String(text || '')
+    .split(/[\s,;]+/)
+    .map((item) => Number.parseInt(item, 10))
+    .filter((value) => Number.isFinite(value) && value >= 1 && value <= max);
+  return Array.from(new Set(values)).sort((a, b) => a - b);
+}
+
+export function sweepCellKey(cell) {
+  return SWEEP_KEYS.map((key) => `${key}=${cell[key]}`).join('|');
+}
+
+export function sweepCellLabel(cell) {
+  return `${cell.modelKey} | ${cell.backend} | e:${cell.encoderQuant} d:${cell.decoderQuant} | preproc:${cell.preprocessorBackend} | t:${cell.cpuThreads}`;
+}
+
+/**
+ * Cartesian product of the ticked values, model-major so cells that share
+ * model files run back to back and reuse the browser's download cache.
+ * A dimension with nothing ticked falls back to `fallback[key]`.
+ */
+export function buildSweepCells(values, fallback) {
+  return SWEEP_KEYS.reduce((cells, key) => {
+    const options = values?.[key]?.length ? values[key] : [fallback[key]];
+    return cells.flatMap((cell) => options.map((option) => ({ ...cell, [key]: option })));
+  }, [{}]);
+}
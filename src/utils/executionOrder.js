@@ -0,0 +1,43 @@
+export const EXECUTION_ORDERS = [
+  { key: 'sequential', label: 'Sequential (all repeats per sample)' },
+  { key: 'round-robin', label: 'Round-robin across samples' },
+  { key: 'shuffle', label: 'Seeded shuffle of all runs' },
+];
+
+/**
+ * The (sample, repeat) pairs of a batch in the order they should run.
+ * Sequential keeps a sample's repeats together, so slow drift (clock boost,
+ * throttling, JIT warm-up) lands on whichever samples happen to run late.
+ * Round-robin spreads each sample's repeats over the batch; the shuffle mixes
+ * everything. Within a sample, repeats always keep ascending order.
+ *
+ * `random` must return floats in [0, 1); pass a seeded generator so a resumed
+ * batch replays the same order.
+ */
+export function buildExecutionOrder(sampleCount, repeatCount, strategy = 'sequential', random = Math.random) {
+  const pairs = [];
+  if (strategy === 'round-robin') {
+    for (let r = 1; r <= repeatCount; r += 1) {
+      for (let s = 0; s < sampleCount; s += 1) pairs.push({ sampleIndex: s, repeatIndex: r });
+    }
+    return pairs;
+  }
+
+  for (let s = 0; s < sampleCount; s += 1) {
+    for (let r = 1; r <= repeatCount; r += 1) pairs.push({ sampleIndex: s, repeatIndex: r });
+  }
+  if (strategy !== 'shuffle') return pairs;
+
+  // Fisher-Yates over slots, then renumber repeats per sample by slot so
+  // repeat 1 is still the first run of each sample.
+  const slots = pairs.map((pair) => pair.sampleIndex);
+  for (let i = slots.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [slots[i], slots[j]] = [slots[j], slots[i]];
+  }
+  const seen = new Array(sampleCount).fill(0);
+  return slots.map((sampleIndex) => {
+    seen[sampleIndex] += 1;
+    return { sampleIndex, repeatIndex: seen[sampleIndex] };
+  });
+}
@@ -0,0 +1,45 @@
+import { normalizeText, tokenizeWords } from './benchmarkStats';
+
+export const KEYWORD_SOURCES = [
+  { key: 'off', label: 'Off' },
+  { key: 'derived', label: 'Derived from references' },
+  { key: 'uploaded', label: 'Uploaded list' },
+];
+
+/**
+ * Parse a term list: one term per line, or the first column of a CSV/TSV.
+ * Blank lines and `#` comments are skipped; multi-word terms are kept whole.
+ */
+export function parseKeywordList(text) {
+  const seen = new Set();
+  const terms = [];
+  String(text || '').split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const term = trimmed.split(/[\t,;]/)[0].replace(/^"|"$/g, '').trim();
+    const key = term.toLowerCase();
+    if (!term || seen.has(key)) return;
+    seen.add(key);
+    terms.push(term);
+  });
+  return terms;
+}
+
+/**
+ * Pick likely domain terms out of the reference texts. Long words are a good
+ * proxy for specialist vocabulary ("pneumothorax", "hypodense") while skipping
+ * function words; the most frequent ones come first.
+ */
+export function deriveKeywords(references, { normalize = normalizeText, minLength = 8, limit = 200 } = {}) {
+  const counts = new Map();
+  (references || []).forEach((reference) => {
+    tokenizeWords(reference, normalize).forEach((word) => {
+      if (word.length < minLength || /\p{N}/u.test(word)) return;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
@@ -0,0 +1,151 @@
+import { getParakeetModel, ParakeetModel } from 'parakeet.js';
+
+const URL_COMPONENTS = {
+  encoderUrl: 'encoder',
+  decoderUrl: 'decoder',
+  preprocessorUrl: 'preprocessor',
+};
+
+/**
+ * Files getParakeetModel resolved, in the order it fetches them. The external
+ * `.data` weights only exist for some quantisations, hence the URL checks.
+ */
+function expectedModelFiles(hub, preprocessor) {
+  const { encoder, decoder } = hub?.filenames || {};
+  const urls = hub?.urls || {};
+  return [
+    encoder,
+    decoder,
+    'vocab.txt',
+    urls.preprocessorUrl && preprocessor ? `${preprocessor}.onnx` : null,
+    urls.encoderDataUrl ? `${encoder}.data` : null,
+    urls.decoderDataUrl ? `${decoder}.data` : null,
+  ].filter(Boolean);
+}
+
+/**
+ * Turns the `progress` callback of getParakeetModel into per-file timings.
+ * Files are fetched one after another, so a file's time runs from the last
+ * event of the previous file to its own last event. A file with no progress
+ * at all came from parakeet.js's IndexedDB cache (or from a server that sent
+ * no Content-Length, which the callback cannot report either).
+ */
+function createDownloadTracker() {
+  const origin = performance.now();
+  const seen = new Map();
+  let lastEventAt = origin;
+
+  return {
+    onProgress({ file, loaded, total }) {
+      if (!file) return;
+      const now = performance.now();
+      if (!seen.has(file)) seen.set(file, { startedAt: lastEventAt, endedAt: now, bytes: 0 });
+      const entry = seen.get(file);
+      entry.endedAt = now;
+      entry.bytes = Math.max(entry.bytes, total || loaded || 0);
+      lastEventAt = now;
+    },
+    files(expected) {
+      const names = Array.from(new Set([...expected, ...seen.keys()]));
+      return names.map((file) => {
+        const entry = seen.get(file);
+        return entry
+          ? { file, bytes: entry.bytes, ms: entry.endedAt - entry.startedAt, cached: false }
+          : { file, bytes: null, ms: null, cached: true };
+      });
+    },
+  };
+}
+
+/**
+ * Runs `task` with ort.InferenceSession.create wrapped so each session it
+ * builds is timed and named after the hub URL it was created from. The
+ * package is the same pinned onnxruntime-web parakeet.js imports; if the two
+ * ever resolve to different copies, `sessions` simply comes back empty.
+ */
+async function timeSessionCreation(task, urls) {
+  const components = new Map(Object.entries(URL_COMPONENTS)
+    .filter(([key]) => urls?.[key])
+    .map(([key, component]) => [urls[key], component]));
+  const sessions = [];
+
+  let InferenceSession = null;
+  let originalCreate = null;
+  try {
+    const ort = await import('onnxruntime-web');
+    InferenceSession = (ort.default || ort).InferenceSession;
+    originalCreate = InferenceSession?.create;
+  } catch {
+    InferenceSession = null;
+  }
+
+  if (typeof originalCreate === 'function') {
+    InferenceSession.create = async function timedCreate(source, ...rest) {
+      const startedAt = performance.now();
+      try {
+        return await originalCreate.call(this, source, ...rest);
+      } finally {
+        sessions.push({
+          component: (typeof source === 'string' && components.get(source)) || `session ${sessions.length + 1}`,
+          ms: performance.now() - startedAt,
+        });
+      }
+    };
+  }
+
+  try {
+    return { value: await task(), sessions };
+  } finally {
+    if (typeof originalCreate === 'function') InferenceSession.create = originalCreate;
+  }
+}
+
+/**
+ * getParakeetModel + ParakeetModel.fromUrls with the cold-start phases
+ * measured. Shared by the main thread and the benchmark worker so both report
+ * the same `loadMetrics` shape. Verification and first inference are added
+ * by the caller, which owns the reference clip.
+ */
+export async function loadParakeetWithMetrics(modelKey, options, progress) {
+  const startedAt = new Date().toISOString();
+  const tracker = createDownloadTracker();
+
+  const fetchStart = performance.now();
+  const hub = await getParakeetModel(modelKey, {
+    ...options,
+    progress: (event) => {
+      tracker.onProgress(event);
+      progress?.(event);
+    },
+  });
+  const fetchMs = performance.now() - fetchStart;
+
+  const sessionStart = performance.now();
+  const { value: model, sessions } = await timeSessionCreation(() => ParakeetModel.fromUrls({
+    ...hub.urls,
+    filenames: hub.filenames,
+    preprocessorBackend: hub.preprocessorBackend,
+    backend: options.backend,
+    cpuThreads: options.cpuThreads,
+    verbose: false,
+  }), hub.urls);
+  const sessionMs = performance.now() - sessionStart;
+
+  const files = tracker.files(expectedModelFiles(hub, options.preprocessor));
+  const downloaded = files.filter((file) => !file.cached);
+  return {
+    model,
+    hub,
+    loadMetrics: {
+      startedAt,
+      preprocessorBackend: hub.preprocessorBackend,
+      fetchMs,
+      downloadedBytes: downloaded.reduce((acc, file) => acc + (file.bytes || 0), 0),
+      cacheHits: files.length - downloaded.length,
+      cacheMisses: downloaded.length,
+      files,
+      sessionMs,
+      sessions,
+    },
+  };
+}
@@ -0,0 +1,234 @@
+import { normalizeReferenceText } from './hfDataset';
+
+export const AUDIO_EXTENSIONS = ['wav', 'flac', 'mp3', 'ogg', 'opus', 'm4a', 'aac', 'webm'];
+export const MANIFEST_EXTENSIONS = ['tsv', 'csv', 'json', 'jsonl', 'txt'];
+
+const AUDIO_COLUMNS = ['audio_filepath', 'audio_path', 'audio', 'path', 'file', 'file_name', 'filename', 'wav', 'id'];
+const TEXT_COLUMNS = ['text', 'transcript', 'transcription', 'sentence', 'normalized_text', 'reference'];
+
+function extensionOf(name) {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function baseName(path) {
+  return String(path || '').split(/[\\/]/).pop();
+}
+
+function stem(path) {
+  return baseName(path).replace(/\.[^.]+$/, '');
+}
+
+function normalizePath(path) {
+  return String(path || '').replace(/\\/g, '/').replace(/^\.\//, '').replace(/^\/+/, '');
+}
+
+export function isAudioFile(name) {
+  return AUDIO_EXTENSIONS.includes(extensionOf(name));
+}
+
+/**
+ * Picks the transcript manifest among the chosen files: a name that says
+ * manifest/metadata/transcript wins, then any table or JSON file. Returns
+ * null when there is none.
+ */
+export function findManifestFile(entries) {
+  const candidates = entries.filter((entry) => MANIFEST_EXTENSIONS.includes(extensionOf(entry.path)));
+  return candidates.find((entry) => /manifest|metadata|transcript/i.test(baseName(entry.path))) || candidates[0] || null;
+}
+
+// RFC 4180 CSV: quoted fields may hold delimiters, newlines and doubled quotes.
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+/**
+ * Delimited manifests may have a header naming the columns; without one the
+ * first column is the audio file and the rest of the line is the transcript,
+ * which also covers `utt-id transcript` lists like LibriSpeech's .trans.txt.
+ */
+function tableToRecords(rows, delimiter) {
+  if (!rows.length) return [];
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const hasHeader = header.some((cell) => AUDIO_COLUMNS.includes(cell)) && header.some((cell) => TEXT_COLUMNS.includes(cell));
+  if (hasHeader) {
+    return rows.slice(1).map((cells) => Object.fromEntries(header.map((name, idx) => [name, (cells[idx] ?? '').trim()])));
+  }
+  return rows.map((cells) => ({ file: cells[0].trim(), text: cells.slice(1).join(delimiter).trim() }));
+}
+
+function parseJsonLines(text, fileName) {
+  return text.split(/\r?\n/).filter((line) => line.trim()).map((line, idx) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${fileName} line ${idx + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Manifest text to plain records, by file extension. NeMo names its JSON-lines
+ * manifests `*.json`, so a .json file that is not one JSON document, or holds
+ * a single record, is read line by line instead.
+ */
+export function parseManifest(text, fileName) {
+  const ext = extensionOf(fileName);
+  if (ext === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return parseJsonLines(text, fileName);
+    }
+    if (data && !Array.isArray(data) && pickField(data, AUDIO_COLUMNS) !== null) return [data];
+    const list = Array.isArray(data) ? data : (data.rows || data.data || data.samples || []);
+    if (!Array.isArray(list)) throw new Error(`${fileName}: expected an array of records`);
+    return list;
+  }
+  if (ext === 'jsonl') return parseJsonLines(text, fileName);
+  if (ext === 'csv') return tableToRecords(parseDelimited(text, ','), ',');
+  if (ext === 'tsv') return tableToRecords(parseDelimited(text, '\t'), '\t');
+  // .txt: tab-separated when tabs are present, otherwise "id transcript" per line.
+  if (text.includes('\t')) return tableToRecords(parseDelimited(text, '\t'), '\t');
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).map((line) => {
+    const space = line.search(/\s/);
+    return space < 0 ? { file: line, text: '' } : { file: line.slice(0, space), text: line.slice(space + 1).trim() };
+  });
+}
+
+function pickField(record, names) {
+  const lower = Object.fromEntries(Object.entries(record || {}).map(([key, value]) => [key.toLowerCase(), value]));
+  const name = names.find((candidate) => lower[candidate] !== undefined && lower[candidate] !== null && lower[candidate] !== '');
+  return name ? lower[name] : null;
+}
+
+/**
+ * Index of the chosen audio files by relative path, file name and file name
+ * without extension, so manifests can refer to files whichever way they like.
+ * Paths from another machine (NeMo manifests usually hold absolute ones)
+ * match on their longest tail that exists under the picked folder. The path
+ * index is case-sensitive; the others fall back to lower case.
+ */
+function indexAudioFiles(entries) {
+  const byPath = new Map();
+  const byName = new Map();
+  const byStem = new Map();
+  entries.filter((entry) => isAudioFile(entry.path)).forEach((entry) => {
+    const path = normalizePath(entry.path);
+    byPath.set(path, entry);
+    // Paths are relative to the picked folder, whose own name is the first segment.
+    if (path.includes('/')) byPath.set(path.split('/').slice(1).join('/'), entry);
+    [baseName(path), baseName(path).toLowerCase()].forEach((key) => { if (!byName.has(key)) byName.set(key, entry); });
+    [stem(path), stem(path).toLowerCase()].forEach((key) => { if (!byStem.has(key)) byStem.set(key, entry); });
+  });
+  return (reference) => {
+    const path = normalizePath(reference);
+    const segments = path.split('/');
+    for (let i = 0; i < segments.length - 1; i += 1) {
+      const tail = byPath.get(segments.slice(i).join('/'));
+      if (tail) return tail;
+    }
+    return byName.get(baseName(path)) || byName.get(baseName(path).toLowerCase())
+      || byStem.get(stem(path)) || byStem.get(stem(path).toLowerCase())
+      || null;
+  };
+}
+
+/**
+ * Manifest records matched to picked audio files, in the shape
+ * normalizeDatasetRow produces, with blob URLs in place of hub URLs. Nothing
+ * is uploaded or cached: the URLs live as long as the page (or until
+ * revokeLocalSamples). `entries` are `{ path, file }` with paths relative to
+ * the picked folder. Records whose audio is missing come back in `missing`.
+ */
+export function buildLocalSamples(records, entries, { audioColumns = AUDIO_COLUMNS, textColumns = TEXT_COLUMNS } = {}) {
+  const findAudio = indexAudioFiles(entries);
+  const samples = [];
+  const missing = [];
+  records.forEach((record, idx) => {
+    const reference = pickField(record, audioColumns);
+    const entry = reference ? findAudio(String(reference)) : null;
+    if (!entry) {
+      missing.push(reference ? String(reference) : `record ${idx + 1}`);
+      return;
+    }
+    samples.push({
+      rowIndex: samples.length,
+      audioUrl: URL.createObjectURL(entry.file),
+      referenceText: normalizeReferenceText(pickField(record, textColumns) || ''),
+      speaker: pickField(record, ['speaker', 'speaker_id', 'client_id']) || '',
+      gender: pickField(record, ['gender']) || '',
+      speed: undefined,
+      volume: undefined,
+      sampleRate: Number(pickField(record, ['sample_rate', 'sampling_rate'])) || 16000,
+      localPath: normalizePath(entry.path),
+      raw: record,
+    });
+  });
+  return { samples, missing };
+}
+
+export function revokeLocalSamples(samples) {
+  (samples || []).forEach((sample) => {
+    if (sample.audioUrl?.startsWith('blob:')) URL.revokeObjectURL(sample.audioUrl);
+  });
+}
+
+async function walkDirectory(handle, prefix, out) {
+  for await (const child of handle.values()) {
+    const path = `${prefix}/${child.name}`;
+    if (child.kind === 'directory') await walkDirectory(child, path, out);
+    else out.push({ path, file: await child.getFile() });
+  }
+  return out;
+}
+
+/**
+ * Every file under a folder picked with the File System Access API, as
+ * `{ path, file }`. Returns null when the API is missing (Firefox, Safari),
+ * so the caller can fall back to a directory `<input>`; throws AbortError if
+ * the user cancels.
+ */
+export async function pickDirectoryEntries() {
+  if (typeof window.showDirectoryPicker !== 'function') return null;
+  const handle = await window.showDirectoryPicker({ mode: 'read' });
+  return { name: handle.name, entries: await walkDirectory(handle, handle.name, []) };
+}
+
+/** `{ path, file }` entries from an `<input type="file">` (directory or multi-select). */
+export function entriesFromFileList(fileList) {
+  const files = Array.from(fileList || []);
+  const entries = files.map((file) => ({ path: file.webkitRelativePath || file.name, file }));
+  const name = files[0]?.webkitRelativePath ? files[0].webkitRelativePath.split('/')[0] : 'selected files';
+  return { name, entries };
+}
@@ -0,0 +1,215 @@
+import {
+  aggregateErrorRates,
+  alignWordsBanded,
+  levenshteinDistanceBanded,
+  mean,
+  normalizeText,
+  percentile,
+  scoreTranscript,
+  sumStageMetrics,
+  tokenizeWords,
+} from './benchmarkStats';
+
+export const LONG_FORM_GAP_SEC = 0.5;
+export const LONG_FORM_MAX_MINUTES = 60;
+
+// Word alignment keeps a full (ref + 1) x (hyp + 1) cost table of 4-byte cells.
+const MAX_ALIGN_CELLS = 40_000_000;
+// Past that, segments are aligned inside a diagonal band this share of their
+// length wide on each side. Stitching drift in an hour of speech is far smaller.
+const BAND_FRACTION = 0.05;
+const MIN_BAND_WORDS = 256;
+const MIN_BAND_CHARS = 1024;
+
+export function parseSecondsList(text, { min = 1, max = 600 } = {}) {
+  const values = String(text || '')
+    .split(/[\s,;]+/)
+    .map((item) => Number.parseFloat(item))
+    .filter((value) => Number.isFinite(value) && value >= min && value <= max);
+  return Array.from(new Set(values)).sort((a, b) => a - b);
+}
+
+/** JS heap in bytes where the browser exposes it (Chromium only), otherwise null. */
+export function readHeapBytes() {
+  const used = globalThis.performance?.memory?.usedJSHeapSize;
+  return Number.isFinite(used) ? used : null;
+}
+
+/**
+ * Join decoded clips into one recording with a short silence between them.
+ * With `targetSec` set, the clip list is repeated until the recording is at
+ * least that long, so a handful of samples can stand in for a long dictation.
+ */
+export function concatenateClips(clips, sampleRate, { gapSec = LONG_FORM_GAP_SEC, targetSec = 0 } = {}) {
+  const usable = clips.filter((clip) => clip.pcm?.length);
+  if (!usable.length) return null;
+
+  const gapSamples = Math.round(gapSec * sampleRate);
+  const onePassSamples = usable.reduce((acc, clip) => acc + clip.pcm.length + gapSamples, 0);
+  const passes = targetSec > 0 ? Math.max(1, Math.ceil((targetSec * sampleRate) / onePassSamples)) : 1;
+  const pcm = new Float32Array(onePassSamples * passes);
+  const segments = [];
+  const references = [];
+
+  let cursor = 0;
+  for (let pass = 0; pass < passes; pass += 1) {
+    usable.forEach((clip) => {
+      pcm.set(clip.pcm, cursor);
+      segments.push({
+        sampleKey: clip.sampleKey,
+        start: cursor / sampleRate,
+        end: (cursor + clip.pcm.length) / sampleRate,
+        referenceText: clip.referenceText || '',
+      });
+      if (clip.referenceText) references.push(clip.referenceText);
+      cursor += clip.pcm.length + gapSamples;
+    });
+  }
+
+  return {
+    pcm,
+    sampleRate,
+    durationSec: pcm.length / sampleRate,
+    segments,
+    clipCount: usable.length,
+    passes,
+    referenceText: references.length === segments.length ? references.join(' ') : '',
+  };
+}
+
+/** Window start offsets (seconds) so consecutive windows share `overlapSec`. */
+export function planWindows(durationSec, windowSec, overlapSec) {
+  const step = windowSec - overlapSec;
+  if (!(step > 0)) throw new Error('Overlap must be shorter than the window');
+  const windows = [];
+  for (let start = 0; ; start += step) {
+    const end = Math.min(start + windowSec, durationSec);
+    windows.push({ start, end });
+    if (end >= durationSec) break;
+  }
+  return windows;
+}
+
+/**
+ * Transcribe a long recording window by window and stitch the words. Each
+ * overlap is split at its midpoint: a word belongs to the window whose share
+ * contains the word's centre, which drops the duplicate copy from the
+ * neighbour and keeps the copy that had more context on both sides.
+ */
+export async function transcribeLongForm(model, pcm, sampleRate, {
+  windowSec = 30,
+  overlapSec = 2,
+  transcribeOptions = {},
+  shouldStop = () => false,
+  onWindow,
+} = {}) {
+  const durationSec = pcm.length / sampleRate;
+  const windows = planWindows(durationSec, windowSec, overlapSec);
+  const words = [];
+  const windowLatencies = [];
+  const windowMetrics = [];
+  const heapBefore = readHeapBytes();
+  let heapPeak = heapBefore;
+
+  for (let i = 0; i < windows.length; i += 1) {
+    if (shouldStop()) break;
+    const { start, end } = windows[i];
+    onWindow?.(i, windows.length);
+
+    const t0 = performance.now();
+    const result = await model.transcribe(
+      pcm.subarray(Math.round(start * sampleRate), Math.round(end * sampleRate)),
+      sampleRate,
+      { ...transcribeOptions, returnTimestamps: true, timeOffset: start },
+    );
+    windowLatencies.push(performance.now() - t0);
+    windowMetrics.push(result.metrics || null);
+
+    const heap = readHeapBytes();
+    if (heap !== null) heapPeak = Math.max(heapPeak ?? heap, heap);
+
+    const lo = i > 0 ? (windows[i - 1].end + start) / 2 : -Infinity;
+    const hi = i < windows.length - 1 ? (end + windows[i + 1].start) / 2 : Infinity;
+    (result.words || []).forEach((word) => {
+      const centre = (word.start_time + word.end_time) / 2;
+      if (!Number.isFinite(centre) || (centre >= lo && centre < hi)) words.push(word);
+    });
+  }
+
+  return {
+    text: words.map((word) => word.text).join(' '),
+    words,
+    metrics: sumStageMetrics(windowMetrics, durationSec),
+    longForm: {
+      windowCount: windowLatencies.length,
+      plannedWindows: windows.length,
+      windowLatencyMean: windowLatencies.length ? mean(windowLatencies) : null,
+      windowLatencyP90: windowLatencies.length ? percentile(windowLatencies, 90) : null,
+      windowLatencyMax: windowLatencies.length ? Math.max(...windowLatencies) : null,
+      heapStartBytes: heapBefore,
+      heapPeakBytes: heapPeak,
+    },
+  };
+}
+
+/**
+ * scoreTranscript for a segment too long for the full alignment table: words
+ * and characters are aligned inside a band around the diagonal, capped so the
+ * word table stays under MAX_ALIGN_CELLS. Null if the band cannot connect.
+ */
+function scoreTranscriptBanded(reference, hypothesis, normalize) {
+  const refWords = tokenizeWords(reference, normalize);
+  const hypWords = tokenizeWords(hypothesis, normalize);
+  const wordBand = Math.min(
+    Math.floor(MAX_ALIGN_CELLS / (refWords.length + 1) / 2),
+    Math.max(MIN_BAND_WORDS, Math.ceil(Math.max(refWords.length, hypWords.length) * BAND_FRACTION)),
+  );
+  const alignment = alignWordsBanded(refWords, hypWords, wordBand);
+  const refText = refWords.join(' ');
+  const hypText = hypWords.join(' ');
+  const charErrors = levenshteinDistanceBanded(refText, hypText, Math.max(MIN_BAND_CHARS, Math.ceil(Math.max(refText.length, hypText.length) * BAND_FRACTION)));
+  if (!alignment || charErrors === null) return null;
+  return {
+    wer: alignment.errors / refWords.length,
+    cer: charErrors / refText.length,
+    wordErrors: alignment.errors,
+    substitutions: alignment.substitutions,
+    deletions: alignment.deletions,
+    insertions: alignment.insertions,
+    referenceWords: refWords.length,
+    charErrors,
+    referenceChars: refText.length,
+  };
+}
+
+/**
+ * Score a stitched transcript clip by clip. Each word goes to the clip its
+ * centre falls in (words in a gap go to the clip before it) and the per-clip
+ * edit counts are summed, which keeps alignment cost per clip instead of
+ * quadratic in the whole recording. An uploaded file is one segment with the
+ * whole reference; once that is too large for the full table it is aligned
+ * in a band (`bandedSegments`), and only a segment the band cannot align is
+ * left out and counted in `unscoredSegments`.
+ */
+export function scoreSegments(segments, words, normalize = normalizeText) {
+  const buckets = segments.map(() => []);
+  let index = 0;
+  words.forEach((word) => {
+    const centre = (word.start_time + word.end_time) / 2;
+    while (index < segments.length - 1 && Number.isFinite(centre) && centre >= segments[index + 1].start) index += 1;
+    buckets[index].push(word.text);
+  });
+
+  let bandedSegments = 0;
+  let unscoredSegments = 0;
+  const scored = segments.map((segment, i) => {
+    const hypothesis = buckets[i].join(' ');
+    const cells = (tokenizeWords(segment.referenceText, normalize).length + 1) * (tokenizeWords(hypothesis, normalize).length + 1);
+    if (cells <= MAX_ALIGN_CELLS) return scoreTranscript(segment.referenceText, hypothesis, normalize);
+    const banded = scoreTranscriptBanded(segment.referenceText, hypothesis, normalize);
+    if (banded) bandedSegments += 1;
+    else unscoredSegments += 1;
+    return banded;
+  });
+  return { ...aggregateErrorRates(scored.filter(Boolean)), bandedSegments, unscoredSegments };
+}
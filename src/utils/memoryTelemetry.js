@@ -0,0 +1,153 @@
+const MB = 1024 * 1024;
+const AGENT_MEMORY_TIMEOUT_MS = 10_000;
+
+// Live GPUBuffer bytes, maintained by the createBuffer/destroy hooks below.
+let gpuTracking = false;
+let gpuLiveBytes = 0;
+const gpuBufferSizes = new WeakMap();
+
+/**
+ * Count bytes of every GPUBuffer created from here on, minus the ones
+ * destroyed. WebGPU has no allocation query, so this is an estimate: buffers
+ * that are dropped without destroy() stay counted until the page closes,
+ * which is exactly the kind of leak this is meant to surface. Each realm
+ * (page, worker) has its own prototypes and needs its own install.
+ */
+export function installGpuBufferTracker() {
+  if (gpuTracking) return true;
+  const Device = globalThis.GPUDevice;
+  const Buffer = globalThis.GPUBuffer;
+  if (!Device?.prototype?.createBuffer || !Buffer?.prototype?.destroy) return false;
+
+  const createBuffer = Device.prototype.createBuffer;
+  Device.prototype.createBuffer = function trackedCreateBuffer(descriptor) {
+    const buffer = createBuffer.call(this, descriptor);
+    const size = Number(descriptor?.size) || 0;
+    gpuBufferSizes.set(buffer, size);
+    gpuLiveBytes += size;
+    return buffer;
+  };
+
+  const destroy = Buffer.prototype.destroy;
+  Buffer.prototype.destroy = function trackedDestroy() {
+    const size = gpuBufferSizes.get(this);
+    if (size !== undefined) {
+      gpuBufferSizes.delete(this);
+      gpuLiveBytes -= size;
+    }
+    return destroy.call(this);
+  };
+
+  gpuTracking = true;
+  return true;
+}
+
+/** Live GPU buffer bytes in this realm, or null when the tracker is not installed. */
+export function gpuBufferBytes() {
+  return gpuTracking ? gpuLiveBytes : null;
+}
+
+/**
+ * performance.measureUserAgentSpecificMemory covers the page and its workers,
+ * but needs cross-origin isolation and only resolves after the next garbage
+ * collection, which can take seconds. Gives up after a timeout.
+ */
+async function measureAgentMemory() {
+  if (!globalThis.crossOriginIsolated || typeof performance.measureUserAgentSpecificMemory !== 'function') return null;
+  let timer = null;
+  try {
+    const result = await Promise.race([
+      performance.measureUserAgentSpecificMemory(),
+      new Promise((resolve) => { timer = setTimeout(() => resolve(null), AGENT_MEMORY_TIMEOUT_MS); }),
+    ]);
+    return Number.isFinite(result?.bytes) ? result.bytes : null;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * One memory sample. `gpuBytes` is passed in because with a worker model the
+ * buffers live in the worker realm. `precise` adds the user-agent measurement.
+ */
+export async function sampleMemory({ gpuBytes = gpuBufferBytes(), precise = false } = {}) {
+  const heap = globalThis.performance?.memory;
+  return {
+    heapBytes: Number.isFinite(heap?.usedJSHeapSize) ? heap.usedJSHeapSize : null,
+    gpuBytes: Number.isFinite(gpuBytes) ? gpuBytes : null,
+    agentBytes: precise ? await measureAgentMemory() : null,
+  };
+}
+
+function toMb(bytes) {
+  return Number.isFinite(bytes) ? bytes / MB : null;
+}
+
+/** Run-record fields for the samples taken around one run. */
+export function memoryRunFields(before, after) {
+  return {
+    memHeapBeforeMb: toMb(before?.heapBytes),
+    memHeapAfterMb: toMb(after?.heapBytes),
+    memGpuBeforeMb: toMb(before?.gpuBytes),
+    memGpuAfterMb: toMb(after?.gpuBytes),
+    memAgentBeforeMb: toMb(before?.agentBytes),
+    memAgentAfterMb: toMb(after?.agentBytes),
+  };
+}
+
+/**
+ * Flags a series (in run order) that keeps climbing. The heap saws up and
+ * down with garbage collection, so "monotonic" is read loosely: at least
+ * `minRisingShare` of the steps go up and the series ends `minGrowthMb`
+ * above where it started.
+ */
+export function detectMonotonicGrowth(values, { minPoints = 5, minRisingShare = 0.8, minGrowthMb = 1 } = {}) {
+  const series = values.filter(Number.isFinite);
+  if (series.length < minPoints) return { points: series.length, growthMb: null, risingShare: null, flagged: false };
+  let rising = 0;
+  for (let i = 1; i < series.length; i += 1) {
+    if (series[i] > series[i - 1]) rising += 1;
+  }
+  const growthMb = series[series.length - 1] - series[0];
+  const risingShare = rising / (series.length - 1);
+  return {
+    points: series.length,
+    growthMb,
+    risingShare,
+    flagged: risingShare >= minRisingShare && growthMb >= minGrowthMb,
+  };
+}
+
+export const MEMORY_SERIES = [
+  { key: 'memHeapAfterMb', beforeKey: 'memHeapBeforeMb', label: 'JS heap' },
+  { key: 'memGpuAfterMb', beforeKey: 'memGpuBeforeMb', label: 'GPU buffers' },
+  { key: 'memAgentAfterMb', beforeKey: 'memAgentBeforeMb', label: 'Page + workers' },
+];
+
+/**
+ * Growth checks per batch (post-run samples in record order) and across
+ * batches (the first pre-run sample of each). A batch runs on one loaded
+ * model, so the cross-batch series is where memory that survives a model
+ * release shows up.
+ */
+export function checkMemoryGrowth(runs) {
+  const batches = new Map();
+  (runs || []).forEach((run) => {
+    if (!batches.has(run.batchId)) batches.set(run.batchId, []);
+    batches.get(run.batchId).push(run);
+  });
+
+  const checks = [];
+  MEMORY_SERIES.forEach((series) => {
+    batches.forEach((items, batchId) => {
+      const growth = detectMonotonicGrowth(items.map((run) => run[series.key]));
+      if (growth.growthMb !== null) checks.push({ scope: 'batch', batchId, ...series, ...growth });
+    });
+    const firsts = Array.from(batches.values()).map((items) => items.find((run) => Number.isFinite(run[series.beforeKey]))?.[series.beforeKey]);
+    const across = detectMonotonicGrowth(firsts, { minPoints: 3 });
+    if (across.growthMb !== null) checks.push({ scope: 'session', batchId: null, ...series, ...across });
+  });
+  return checks;
+}
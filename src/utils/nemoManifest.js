@@ -0,0 +1,75 @@
+import { normalizeReferenceText } from './hfDataset';
+
+/**
+ * NeMo manifests are JSON lines with at least `audio_filepath`, `duration`
+ * (seconds) and `text`. Blank lines are skipped; a line that is not JSON or
+ * has no audio path is an error, since NeMo's own scripts would reject it.
+ */
+export function parseNemoManifest(text, fileName = 'manifest') {
+  return String(text || '').split(/\r?\n/).map((line, idx) => [line.trim(), idx + 1])
+    .filter(([line]) => line)
+    .map(([line, lineNo]) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${fileName} line ${lineNo}: ${error.message}`);
+      }
+      if (!record?.audio_filepath) throw new Error(`${fileName} line ${lineNo}: missing audio_filepath`);
+      return record;
+    });
+}
+
+/**
+ * Audio URL for a manifest path under `base`. Full URLs are kept. Other paths,
+ * absolute ones included, are taken relative to the base, so a manifest
+ * written on the training box still works once its audio tree is served.
+ */
+export function resolveAgainstBase(audioPath, base) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(audioPath)) return audioPath;
+  const root = String(base || '').replace(/\/*$/, '/');
+  return new URL(String(audioPath).replace(/\\/g, '/').replace(/^\.?\/+/, ''), new URL(root, window.location.href)).href;
+}
+
+/** Samples in the normalizeDatasetRow shape, with audio fetched from `base`. */
+export function nemoSamplesFromUrlBase(records, base) {
+  return records.map((record, idx) => ({
+    rowIndex: idx,
+    audioUrl: resolveAgainstBase(record.audio_filepath, base),
+    referenceText: normalizeReferenceText(record.text || ''),
+    speaker: record.speaker || '',
+    gender: record.gender || '',
+    speed: undefined,
+    volume: undefined,
+    sampleRate: Number(record.sample_rate) || 16000,
+    raw: record,
+  }));
+}
+
+// Local paths start with the picked folder's own name; drop it so the path is
+// relative to that folder, which is where the exported manifest belongs.
+function pathInFolder(localPath) {
+  const path = String(localPath);
+  return path.includes('/') ? path.slice(path.indexOf('/') + 1) : path;
+}
+
+/**
+ * The prepared samples as a NeMo manifest with each sample's transcription in
+ * `pred_text`, ready for NeMo's speech_to_text_eval.py. `audio_filepath` is
+ * the manifest's own path when the sample came from one, otherwise the path
+ * relative to the picked folder, or the URL it was read from. `transcriptFor`
+ * returns the run to take the prediction from; samples without one get no
+ * `pred_text`.
+ */
+export function buildNemoManifest(samples, transcriptFor) {
+  return samples.map((sample) => {
+    const run = transcriptFor(sample);
+    const duration = Number(sample.raw?.duration);
+    return JSON.stringify({
+      audio_filepath: sample.raw?.audio_filepath || (sample.localPath ? pathInFolder(sample.localPath) : sample.audioUrl),
+      duration: Number.isFinite(duration) ? duration : (Number.isFinite(run?.audioDurationSec) ? Number(run.audioDurationSec.toFixed(3)) : null),
+      text: sample.referenceText || '',
+      ...(run ? { pred_text: run.transcription || '' } : {}),
+    });
+  }).join('\n').concat('\n');
+}
@@ -0,0 +1,342 @@
+import { aggregateErrorRates, mean, median } from './benchmarkStats';
+
+/**
+ * Each kind takes a list of levels in its own unit. Noise levels are SNRs
+ * against the clean clip, clipping levels are a ceiling relative to the clip's
+ * own peak, and speed/stretch levels are playback-rate factors (1.1 = 10%
+ * faster). Telephone takes the upper band edge; the lower edge is fixed.
+ * `neutral` is the level that leaves the clip untouched, where the clean
+ * runs belong on a strength axis; noise and band-limiting have none.
+ */
+export const PERTURBATION_KINDS = [
+  { key: 'white', label: 'White noise', unit: 'SNR (dB)', min: -20, max: 60, neutral: null },
+  { key: 'pink', label: 'Pink noise', unit: 'SNR (dB)', min: -20, max: 60, neutral: null },
+  { key: 'babble', label: 'Babble', unit: 'SNR (dB)', min: -20, max: 60, neutral: null },
+  { key: 'gain', label: 'Gain', unit: 'gain (dB)', min: -60, max: 40, neutral: 0 },
+  { key: 'clip', label: 'Clipping', unit: 'ceiling (× peak)', min: 0.01, max: 1, neutral: 1 },
+  { key: 'speed', label: 'Speed (resample)', unit: 'speed factor', min: 0.5, max: 2, neutral: 1 },
+  { key: 'stretch', label: 'Time-stretch', unit: 'speed factor', min: 0.5, max: 2, neutral: 1 },
+  { key: 'telephone', label: 'Telephone band', unit: 'upper edge (Hz)', min: 1000, max: 7900, neutral: null },
+];
+
+export const DEFAULT_PERTURBATION_LEVELS = {
+  white: '20, 10, 0',
+  pink: '',
+  babble: '10, 0',
+  gain: '-20',
+  clip: '0.25',
+  speed: '0.9, 1.1',
+  stretch: '',
+  telephone: '3400',
+};
+
+// Other samples mixed into babble. Four talkers is already past the point
+// where individual words stand out.
+export const BABBLE_TALKERS = 4;
+
+const TELEPHONE_LOW_HZ = 300;
+
+function kindOf(key) {
+  return PERTURBATION_KINDS.find((kind) => kind.key === key);
+}
+
+export function describePerturbation(spec) {
+  if (!spec) return 'clean';
+  const { kind, level } = spec;
+  if (kind === 'white' || kind === 'pink' || kind === 'babble') return `${kindOf(kind).label} ${level} dB SNR`;
+  if (kind === 'gain') return `Gain ${level > 0 ? '+' : ''}${level} dB`;
+  if (kind === 'clip') return `Clipped at ${level} × peak`;
+  if (kind === 'speed' || kind === 'stretch') return `${kindOf(kind).label} ${level}×`;
+  if (kind === 'telephone') return `Telephone ${TELEPHONE_LOW_HZ}-${level} Hz`;
+  return `${kind} ${level}`;
+}
+
+/** Comma- or space-separated levels, deduplicated, out-of-range ones dropped. */
+export function parsePerturbationLevels(kindKey, text) {
+  const kind = kindOf(kindKey);
+  if (!kind) return [];
+  const levels = String(text || '')
+    .split(/[\s,;]+/)
+    .map((part) => Number(part))
+    .filter((value) => Number.isFinite(value) && value >= kind.min && value <= kind.max);
+  return Array.from(new Set(levels));
+}
+
+/** One spec per kind × level, in PERTURBATION_KINDS order. The clean clip is implied. */
+export function buildPerturbationPlan(levelsByKind) {
+  return PERTURBATION_KINDS.flatMap((kind) => parsePerturbationLevels(kind.key, levelsByKind?.[kind.key])
+    .map((level) => ({ id: `${kind.key}@${level}`, kind: kind.key, level, label: describePerturbation({ kind: kind.key, level }) })));
+}
+
+/**
+ * Every sample once clean and once per perturbation. Each variant is a sample
+ * of its own for ordering, repeats and repeatability; `perturbation` is null
+ * on the clean one.
+ */
+export function expandPerturbations(samples, plan) {
+  if (!plan?.length) return samples;
+  return samples.flatMap((sample) => [
+    { ...sample, perturbation: null },
+    ...plan.map((spec) => ({ ...sample, perturbation: spec })),
+  ]);
+}
+
+export function perturbationRunFields(spec, planned) {
+  if (!planned) return {};
+  return {
+    perturbationId: spec?.id || 'clean',
+    perturbationKind: spec?.kind || 'clean',
+    perturbationLevel: spec ? spec.level : null,
+    perturbationLabel: describePerturbation(spec),
+  };
+}
+
+function rms(pcm) {
+  if (!pcm.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i += 1) sum += pcm[i] * pcm[i];
+  return Math.sqrt(sum / pcm.length);
+}
+
+function peak(pcm) {
+  let max = 0;
+  for (let i = 0; i < pcm.length; i += 1) max = Math.max(max, Math.abs(pcm[i]));
+  return max;
+}
+
+function whiteNoise(length, rng) {
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i += 2) {
+    // Box-Muller: two Gaussian values per pair of uniforms.
+    const u = Math.max(rng(), 1e-12);
+    const v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    out[i] = r * Math.cos(2 * Math.PI * v);
+    if (i + 1 < length) out[i + 1] = r * Math.sin(2 * Math.PI * v);
+  }
+  return out;
+}
+
+// Paul Kellet's filter: white noise through a bank of one-pole filters, flat
+// to about ±0.05 dB of -3 dB/octave across the audio band.
+function pinkNoise(length, rng) {
+  const white = whiteNoise(length, rng);
+  const out = new Float32Array(length);
+  let b0 = 0; let b1 = 0; let b2 = 0; let b3 = 0; let b4 = 0; let b5 = 0; let b6 = 0;
+  for (let i = 0; i < length; i += 1) {
+    const w = white[i];
+    b0 = 0.99886 * b0 + w * 0.0555179;
+    b1 = 0.99332 * b1 + w * 0.0750759;
+    b2 = 0.96900 * b2 + w * 0.1538520;
+    b3 = 0.86650 * b3 + w * 0.3104856;
+    b4 = 0.55000 * b4 + w * 0.5329522;
+    b5 = -0.7616 * b5 - w * 0.0168980;
+    out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362;
+    b6 = w * 0.115926;
+  }
+  return out;
+}
+
+/**
+ * Sum of other utterances, each looped to length from its own offset and
+ * brought to unit RMS first so no single talker dominates.
+ */
+function babbleNoise(length, sources, rng) {
+  const voiced = (sources || []).filter((pcm) => pcm?.length && rms(pcm) > 0);
+  if (!voiced.length) throw new Error('babble needs at least one other decodable sample');
+  const out = new Float32Array(length);
+  voiced.forEach((pcm) => {
+    const scale = 1 / rms(pcm);
+    const offset = Math.floor(rng() * pcm.length);
+    for (let i = 0; i < length; i += 1) out[i] += pcm[(offset + i) % pcm.length] * scale;
+  });
+  return out;
+}
+
+function mixAtSnr(pcm, noise, snrDb) {
+  const signalRms = rms(pcm);
+  const noiseRms = rms(noise);
+  const out = new Float32Array(pcm);
+  if (!signalRms || !noiseRms) return out;
+  const scale = signalRms / (noiseRms * 10 ** (snrDb / 20));
+  for (let i = 0; i < out.length; i += 1) out[i] += noise[i] * scale;
+  return out;
+}
+
+/** RBJ cookbook biquad, 2nd-order Butterworth by default. */
+function biquad(pcm, type, freq, sampleRate, q = Math.SQRT1_2) {
+  const w0 = (2 * Math.PI * freq) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const b = type === 'lowpass'
+    ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+    : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  const a0 = 1 + alpha;
+  const b0 = b[0] / a0; const b1 = b[1] / a0; const b2 = b[2] / a0;
+  const a1 = (-2 * cos) / a0; const a2 = (1 - alpha) / a0;
+  const out = new Float32Array(pcm.length);
+  let x1 = 0; let x2 = 0; let y1 = 0; let y2 = 0;
+  for (let i = 0; i < pcm.length; i += 1) {
+    const x = pcm[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    out[i] = y;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+  }
+  return out;
+}
+
+// Two cascaded sections: 4th order, steep enough that the band edges are audible.
+function bandLimit(pcm, lowHz, highHz, sampleRate) {
+  let out = pcm;
+  if (lowHz) out = biquad(biquad(out, 'highpass', lowHz, sampleRate), 'highpass', lowHz, sampleRate);
+  if (highHz) out = biquad(biquad(out, 'lowpass', highHz, sampleRate), 'lowpass', highHz, sampleRate);
+  return out;
+}
+
+/**
+ * Plays the clip back `factor` times faster by resampling, so pitch moves
+ * with tempo like a tape running at the wrong speed. Speeding up folds
+ * everything above the new Nyquist back down, so that band is filtered first.
+ */
+function changeSpeed(pcm, factor, sampleRate) {
+  const source = factor > 1 ? bandLimit(pcm, 0, (0.45 * sampleRate) / factor, sampleRate) : pcm;
+  const length = Math.max(1, Math.round(pcm.length / factor));
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    const pos = i * factor;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const a = source[Math.min(idx, source.length - 1)];
+    const b = source[Math.min(idx + 1, source.length - 1)];
+    out[i] = a + (b - a) * frac;
+  }
+  return out;
+}
+
+/**
+ * Tempo change at constant pitch with WSOLA: Hann frames at 50% overlap are
+ * read at `factor` times the write hop, each nudged by up to 10 ms to the
+ * offset that best lines up with the natural continuation of the previous
+ * frame, which keeps voiced speech from phasing.
+ */
+function timeStretch(pcm, factor, sampleRate) {
+  const frame = 2 * Math.round(sampleRate * 0.02);
+  const hop = frame / 2;
+  const tolerance = Math.round(sampleRate * 0.01);
+  const length = Math.max(1, Math.round(pcm.length / factor));
+  const window = new Float32Array(frame);
+  for (let i = 0; i < frame; i += 1) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+
+  const out = new Float32Array(length + frame);
+  const weight = new Float32Array(length + frame);
+  let previous = 0;
+  for (let write = 0, k = 0; write < length; write += hop, k += 1) {
+    const nominal = Math.round(write * factor);
+    let start = Math.min(nominal, Math.max(0, pcm.length - frame));
+    if (k > 0) {
+      const natural = previous + hop;
+      let best = -Infinity;
+      for (let d = -tolerance; d <= tolerance; d += 1) {
+        const candidate = nominal + d;
+        if (candidate < 0 || candidate + hop > pcm.length) continue;
+        let corr = 0;
+        for (let i = 0; i < hop; i += 1) corr += pcm[candidate + i] * (pcm[natural + i] || 0);
+        if (corr > best) {
+          best = corr;
+          start = candidate;
+        }
+      }
+    }
+    for (let i = 0; i < frame && start + i < pcm.length; i += 1) {
+      out[write + i] += pcm[start + i] * window[i];
+      weight[write + i] += window[i];
+    }
+    previous = start;
+  }
+  for (let i = 0; i < length; i += 1) {
+    if (weight[i] > 1e-3) out[i] /= weight[i];
+  }
+  return out.slice(0, length);
+}
+
+/**
+ * Applies one perturbation to a decoded clip and returns a new decoded clip;
+ * the input is never modified, since decodeAudio caches it. `rng` seeds the
+ * noise so a sample gets the same noise on every run and in every batch.
+ * `babbleSources` are PCM arrays of other samples at the same rate.
+ */
+export function applyPerturbation(decoded, spec, { rng = Math.random, babbleSources = [] } = {}) {
+  if (!spec) return decoded;
+  const { pcm, sampleRate } = decoded;
+  const { kind, level } = spec;
+  let out;
+  if (kind === 'white') out = mixAtSnr(pcm, whiteNoise(pcm.length, rng), level);
+  else if (kind === 'pink') out = mixAtSnr(pcm, pinkNoise(pcm.length, rng), level);
+  else if (kind === 'babble') out = mixAtSnr(pcm, babbleNoise(pcm.length, babbleSources, rng), level);
+  else if (kind === 'gain') {
+    const scale = 10 ** (level / 20);
+    out = pcm.map((x) => x * scale);
+  } else if (kind === 'clip') {
+    const ceiling = peak(pcm) * level;
+    out = pcm.map((x) => Math.max(-ceiling, Math.min(ceiling, x)));
+  } else if (kind === 'speed') out = changeSpeed(pcm, level, sampleRate);
+  else if (kind === 'stretch') out = timeStretch(pcm, level, sampleRate);
+  else if (kind === 'telephone') {
+    if (level >= sampleRate / 2) throw new Error(`telephone band edge ${level} Hz is above Nyquist at ${sampleRate} Hz`);
+    out = bandLimit(pcm, TELEPHONE_LOW_HZ, level, sampleRate);
+  } else {
+    throw new Error(`unknown perturbation "${kind}"`);
+  }
+  return { ...decoded, pcm: out, durationSec: out.length / sampleRate };
+}
+
+/**
+ * WER and latency per perturbation, clean first, then in plan order. Deltas
+ * are against the clean rows of the same runs, so they only mean something
+ * when the clean variant ran alongside.
+ */
+export function summarizeByPerturbation(runs) {
+  const groups = new Map();
+  (runs || []).forEach((run) => {
+    if (run.error || !run.perturbationId || !Number.isFinite(run.metrics?.total_ms)) return;
+    if (!groups.has(run.perturbationId)) groups.set(run.perturbationId, []);
+    groups.get(run.perturbationId).push(run);
+  });
+
+  const kindOrder = ['clean', ...PERTURBATION_KINDS.map((kind) => kind.key)];
+  const rows = Array.from(groups.values()).map((list) => {
+    const { perturbationId, perturbationKind, perturbationLevel, perturbationLabel } = list[0];
+    const rates = aggregateErrorRates(list);
+    return {
+      id: perturbationId,
+      kind: perturbationKind,
+      level: perturbationLevel,
+      label: perturbationLabel,
+      count: list.length,
+      wer: rates.wer,
+      cer: rates.cer,
+      totalMean: mean(list.map((run) => run.metrics.total_ms)),
+      rtfMedian: median(list.map((run) => run.metrics.rtf).filter(Number.isFinite)),
+    };
+  }).sort((a, b) => (kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind)) || ((a.level ?? 0) - (b.level ?? 0)));
+
+  const clean = rows.find((row) => row.kind === 'clean');
+  return rows.map((row) => ({
+    ...row,
+    werDelta: clean && Number.isFinite(row.wer) && Number.isFinite(clean.wer) ? row.wer - clean.wer : null,
+    totalDelta: clean && clean.totalMean > 0 ? row.totalMean / clean.totalMean - 1 : null,
+  }));
+}
+
+export function perturbationKindLabel(key) {
+  return key === 'clean' ? 'Clean' : (kindOf(key)?.label || key);
+}
+
+export function perturbationUnit(key) {
+  return kindOf(key)?.unit || '';
+}
+
+export function perturbationNeutral(key) {
+  return kindOf(key)?.neutral ?? null;
+}
@@ -0,0 +1,204 @@
+import { aggregateErrorRates, mean } from './benchmarkStats';
+
+export const TARGET_SAMPLE_RATE = 16000;
+
+/**
+ * `decoder` is the original path: an AudioContext at 16 kHz decodes and
+ * resamples in one step, so the resampling cost is hidden inside decoding.
+ * The others decode at the source rate and resample as a separate, timed step.
+ */
+export const RESAMPLERS = [
+  { key: 'decoder', label: 'Decoder (AudioContext at 16 kHz)' },
+  { key: 'browser', label: 'Browser (OfflineAudioContext)' },
+  { key: 'sinc', label: 'JS windowed-sinc resampler' },
+  { key: 'linear', label: 'JS linear resampler' },
+];
+
+export const SOURCE_RATES = [
+  { key: 'native', label: 'Native (from file)' },
+  { key: '8000', label: '8 kHz' },
+  { key: '22050', label: '22.05 kHz' },
+  { key: '44100', label: '44.1 kHz' },
+  { key: '48000', label: '48 kHz' },
+];
+
+const SINC_HALF_TAPS = 16;
+
+export function resamplerLabel(key) {
+  return RESAMPLERS.find((item) => item.key === key)?.label || key;
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function indexOfAscii(bytes, text, from = 0, limit = bytes.length) {
+  const end = Math.min(limit, bytes.length) - text.length;
+  for (let i = from; i <= end; i += 1) {
+    let match = true;
+    for (let k = 0; k < text.length; k += 1) {
+      if (bytes[i + k] !== text.charCodeAt(k)) { match = false; break; }
+    }
+    if (match) return i;
+  }
+  return -1;
+}
+
+const MP3_RATES = [44100, 48000, 32000];
+
+/**
+ * Reads the sample rate from a WAV, FLAC, Ogg (Vorbis/Opus) or MP3 header.
+ * decodeAudioData always resamples to its context's rate, so the only way to
+ * decode at the native rate is to know it before creating the context.
+ * Returns null for anything else (AAC/M4A, WebM).
+ */
+export function sniffSampleRate(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  if (bytes.length < 12) return null;
+
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WAVE') {
+    const fmt = indexOfAscii(bytes, 'fmt ', 12, 512);
+    return fmt >= 0 && fmt + 16 <= bytes.length ? view.getUint32(fmt + 12, true) : null;
+  }
+  if (ascii(bytes, 0, 4) === 'fLaC' && bytes.length >= 21) {
+    // STREAMINFO: the rate is the 20 bits after min/max block and frame sizes.
+    return (bytes[18] << 12) | (bytes[19] << 4) | (bytes[20] >> 4);
+  }
+  if (ascii(bytes, 0, 4) === 'OggS') {
+    // Opus always decodes at 48 kHz; the header's input rate is informational.
+    if (indexOfAscii(bytes, 'OpusHead', 0, 512) >= 0) return 48000;
+    const vorbis = indexOfAscii(bytes, '\u0001vorbis', 0, 512);
+    return vorbis >= 0 && vorbis + 16 <= bytes.length ? view.getUint32(vorbis + 12, true) : null;
+  }
+
+  let offset = 0;
+  if (ascii(bytes, 0, 3) === 'ID3' && bytes.length >= 10) {
+    offset = 10 + ((bytes[6] & 0x7f) << 21) + ((bytes[7] & 0x7f) << 14) + ((bytes[8] & 0x7f) << 7) + (bytes[9] & 0x7f);
+  }
+  for (let i = offset; i + 3 < Math.min(bytes.length, offset + 4096); i += 1) {
+    if (bytes[i] !== 0xff || (bytes[i + 1] & 0xe0) !== 0xe0) continue;
+    const version = (bytes[i + 1] >> 3) & 0x03;
+    const layer = (bytes[i + 1] >> 1) & 0x03;
+    const rateIndex = (bytes[i + 2] >> 2) & 0x03;
+    if (version === 1 || layer === 0 || rateIndex === 3) continue;
+    const divisor = version === 3 ? 1 : version === 2 ? 2 : 4;
+    return MP3_RATES[rateIndex] / divisor;
+  }
+  return null;
+}
+
+export function resampleLinear(pcm, fromRate, toRate) {
+  const ratio = fromRate / toRate;
+  const length = Math.max(1, Math.round(pcm.length / ratio));
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    const pos = i * ratio;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const a = pcm[Math.min(idx, pcm.length - 1)];
+    const b = pcm[Math.min(idx + 1, pcm.length - 1)];
+    out[i] = a + (b - a) * frac;
+  }
+  return out;
+}
+
+/**
+ * Band-limited interpolation with a Blackman-windowed sinc. When
+ * downsampling, the kernel is stretched by the rate ratio so it doubles as
+ * the anti-aliasing filter; the cutoff sits a little under the lower Nyquist.
+ */
+export function resampleSinc(pcm, fromRate, toRate, { halfTaps = SINC_HALF_TAPS } = {}) {
+  const ratio = fromRate / toRate;
+  const scale = Math.min(1, 1 / ratio) * 0.95;
+  const radius = Math.ceil(halfTaps / scale);
+  const length = Math.max(1, Math.round(pcm.length / ratio));
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i += 1) {
+    const center = i * ratio;
+    const first = Math.max(0, Math.ceil(center - radius));
+    const last = Math.min(pcm.length - 1, Math.floor(center + radius));
+    let sum = 0;
+    let weight = 0;
+    for (let k = first; k <= last; k += 1) {
+      const t = k - center;
+      const x = t * scale;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const w = 0.42 + 0.5 * Math.cos((Math.PI * t) / radius) + 0.08 * Math.cos((2 * Math.PI * t) / radius);
+      const tap = sinc * w;
+      sum += pcm[k] * tap;
+      weight += tap;
+    }
+    out[i] = weight ? sum / weight : 0;
+  }
+  return out;
+}
+
+async function resampleOffline(pcm, fromRate, toRate) {
+  const length = Math.max(1, Math.round((pcm.length * toRate) / fromRate));
+  const ctx = new OfflineAudioContext(1, length, toRate);
+  const buffer = ctx.createBuffer(1, pcm.length, fromRate);
+  buffer.copyToChannel(pcm, 0);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(ctx.destination);
+  source.start();
+  const rendered = await ctx.startRendering();
+  return rendered.getChannelData(0).slice();
+}
+
+/**
+ * Resamples `pcm` with one of the RESAMPLERS (not `decoder`, which has no
+ * separate step) and times it. Equal rates still go through the resampler,
+ * so 16 kHz sources show what each one costs when it has nothing to do.
+ */
+export async function resampleAudio(pcm, fromRate, toRate, resampler) {
+  const startedAt = performance.now();
+  let out;
+  if (resampler === 'browser') out = await resampleOffline(pcm, fromRate, toRate);
+  else if (resampler === 'sinc') out = resampleSinc(pcm, fromRate, toRate);
+  else if (resampler === 'linear') out = resampleLinear(pcm, fromRate, toRate);
+  else throw new Error(`unknown resampler "${resampler}"`);
+  return { pcm: out, ms: performance.now() - startedAt };
+}
+
+/**
+ * One variant of every sample per resampler. With a single resampler the
+ * samples keep their keys, so switching resamplers between batches still
+ * pairs up in comparisons.
+ */
+export function expandResamplers(samples, resamplers) {
+  const keys = resamplers?.length ? resamplers : ['decoder'];
+  return samples.flatMap((sample) => keys.map((resampler) => ({ ...sample, resampler })));
+}
+
+/** WER and timing per resampler, in RESAMPLERS order, with WER deltas against the first. */
+export function summarizeByResampler(runs) {
+  const groups = new Map();
+  (runs || []).forEach((run) => {
+    if (run.error || !run.resampler || !Number.isFinite(run.metrics?.total_ms)) return;
+    if (!groups.has(run.resampler)) groups.set(run.resampler, []);
+    groups.get(run.resampler).push(run);
+  });
+
+  const rows = RESAMPLERS.filter((item) => groups.has(item.key)).map((item) => {
+    const list = groups.get(item.key);
+    const resampleMs = list.map((run) => run.resampleMs).filter(Number.isFinite);
+    const rates = aggregateErrorRates(list);
+    return {
+      resampler: item.key,
+      label: item.label,
+      count: list.length,
+      sourceRates: Array.from(new Set(list.map((run) => run.sourceSampleRate).filter(Number.isFinite))).sort((a, b) => a - b),
+      resampleMean: resampleMs.length ? mean(resampleMs) : null,
+      totalMean: mean(list.map((run) => run.metrics.total_ms)),
+      wer: rates.wer,
+      cer: rates.cer,
+    };
+  });
+  const reference = rows[0];
+  return rows.map((row) => ({
+    ...row,
+    werDelta: row !== reference && Number.isFinite(row.wer) && Number.isFinite(reference.wer) ? row.wer - reference.wer : null,
+  }));
+}
@@ -203,3 +203,16 @@ export function getAvailableLanguages() {
     displayName: config.displayName,
   }));
 }
+
+/**
+ * Find the language code for a dataset/config pair listed in SPEECH_DATASETS.
+ * @param {string} dataset - HuggingFace dataset ID
+ * @param {string} [config] - Dataset config name
+ * @returns {string|null} ISO 639-1 language code, or null when the dataset is not listed
+ */
+export function findDatasetLanguage(dataset, config) {
+  const match = Object.entries(SPEECH_DATASETS).find(([, entry]) => (
+    entry.dataset === dataset && (!config || entry.config === config)
+  ));
+  return match ? match[0] : null;
+}
@@ -0,0 +1,75 @@
+import { aggregateErrorRates, bootstrapCi, mean } from './benchmarkStats';
+
+export const STOP_RULES = [
+  { key: 'fixed', label: 'Fixed samples × repeats' },
+  { key: 'time', label: 'Time budget' },
+  { key: 'precision', label: 'Precision target (95% CI)' },
+];
+
+export const STOP_METRICS = [
+  { key: 'total', label: 'Total ms (% of mean)' },
+  { key: 'wer', label: 'WER (points)' },
+];
+
+// The clustered bootstrap needs a few runs before its interval means anything.
+export const MIN_PRECISION_RUNS = 5;
+
+const STOP_REASONS = {
+  plan: 'completed the planned runs',
+  time: 'time budget reached',
+  precision: 'precision target met',
+  cap: 'run cap reached before the target',
+  stopped: 'stopped by user',
+};
+
+/**
+ * 95% CI half-width of the batch so far, resampling whole samples like the
+ * summary CIs do. For total_ms the half-width is relative to the mean; WER is
+ * already a rate, so its half-width is in absolute points (0.01 = 1 point).
+ */
+export function measurePrecision(runs, metric = 'total') {
+  const good = (runs || []).filter((r) => !r.error && Number.isFinite(r.metrics?.total_ms));
+  if (metric === 'wer') {
+    const scored = good.filter((r) => Number.isFinite(r.wer));
+    const ci = bootstrapCi(scored, (list) => aggregateErrorRates(list).wer);
+    const bounded = Number.isFinite(ci.low) && Number.isFinite(ci.high);
+    return { metric, runCount: scored.length, estimate: ci.estimate, low: ci.low, high: ci.high, halfWidth: bounded ? (ci.high - ci.low) / 2 : null };
+  }
+  const ci = bootstrapCi(good, (list) => mean(list.map((r) => r.metrics.total_ms)));
+  const bounded = Number.isFinite(ci.low) && Number.isFinite(ci.high) && ci.estimate > 0;
+  return { metric, runCount: good.length, estimate: ci.estimate, low: ci.low, high: ci.high, halfWidth: bounded ? (ci.high - ci.low) / 2 / ci.estimate : null };
+}
+
+/**
+ * How many runs go between precision checks: one round of the batch's samples.
+ * Each check is a full cluster bootstrap, so checking before every run would
+ * make a long batch quadratic in its run count.
+ */
+export function precisionCheckInterval(roundSize) {
+  return Math.max(1, Math.floor(roundSize) || 1);
+}
+
+/**
+ * Checked before each run of an open-ended batch. Returns the reason to stop,
+ * or null to keep going. `target` is a fraction (0.05 = 5% or 5 points). The
+ * precision rule only looks at positions that are a multiple of `checkEvery`.
+ */
+export function checkStoppingRule({ rule, elapsedMs, budgetMs, runs, metric, target, position = 0, checkEvery = 1 }) {
+  if (rule === 'time') return elapsedMs >= budgetMs ? 'time' : null;
+  if (rule === 'precision' && position % checkEvery === 0) {
+    const precision = measurePrecision(runs, metric);
+    if (precision.runCount >= MIN_PRECISION_RUNS && precision.halfWidth !== null && precision.halfWidth <= target) return 'precision';
+  }
+  return null;
+}
+
+export function describeStopOutcome(outcome) {
+  if (!outcome) return '';
+  const rule = STOP_RULES.find((item) => item.key === outcome.rule)?.label || outcome.rule;
+  const { precision } = outcome;
+  const achieved = Number.isFinite(precision?.halfWidth)
+    ? `${precision.metric === 'wer' ? 'WER' : 'total'} ±${(precision.halfWidth * 100).toFixed(2)}${precision.metric === 'wer' ? ' pts' : '%'}`
+    : 'CI not available';
+  const interval = outcome.rule === 'precision' && outcome.checkEvery > 1 ? ` · checked every ${outcome.checkEvery} runs` : '';
+  return `${rule}: ${STOP_REASONS[outcome.reason] || outcome.reason} after ${outcome.runCount} runs in ${(outcome.elapsedMs / 60000).toFixed(1)} min · ${achieved}${interval}`;
+}
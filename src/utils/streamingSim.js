@@ -0,0 +1,122 @@
+import { alignWords, mean, normalizeText, percentile, sumStageMetrics, tokenizeWords } from './benchmarkStats';
+
+export const STREAM_STRATEGIES = [
+  { key: 'growing', label: 'Growing window (re-transcribe from 0)' },
+  { key: 'sliding', label: 'Sliding window' },
+];
+
+export const STREAM_CHUNK_OPTIONS = [0.5, 1, 2];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Previously shown words that a newer partial changed or dropped (appended words are not revisions). */
+function countRevisions(previousText, nextText, normalize) {
+  const prev = tokenizeWords(previousText, normalize);
+  if (!prev.length) return 0;
+  const alignment = alignWords(prev, tokenizeWords(nextText, normalize));
+  return alignment.substitutions + alignment.deletions;
+}
+
+/**
+ * Replay one clip as a live stream. Chunks "arrive" at their audio end time;
+ * each arrival re-transcribes either everything so far (growing) or the last
+ * `windowSec` seconds (sliding, with earlier words kept once they fall out of
+ * the window). Latencies use a simulated clock where a chunk starts when it
+ * has arrived and the previous one has finished, so the numbers mean the same
+ * thing with or without `realtime` pacing; pacing only adds real idle time
+ * between chunks, as a live microphone would.
+ */
+export async function simulateStreaming(model, pcm, sampleRate, {
+  chunkSec = 1,
+  strategy = 'growing',
+  windowSec = 8,
+  realtime = false,
+  transcribeOptions = {},
+  normalize = normalizeText,
+  shouldStop = () => false,
+} = {}) {
+  const chunkSamples = Math.max(1, Math.round(chunkSec * sampleRate));
+  const windowSamples = Math.max(chunkSamples, Math.round(windowSec * sampleRate));
+  const audioDurationSec = pcm.length / sampleRate;
+  const wallStart = performance.now();
+
+  const chunkLatencies = [];
+  const chunkLoads = [];
+  const chunkMetrics = [];
+  let words = [];
+  let text = '';
+  let simClockMs = 0;
+  let maxLagMs = 0;
+  let firstTokenLatencyMs = null;
+  let revisions = 0;
+  let previousEnd = 0;
+
+  for (let end = Math.min(chunkSamples, pcm.length); ; end = Math.min(end + chunkSamples, pcm.length)) {
+    if (shouldStop()) break;
+    const arrivalMs = (end / sampleRate) * 1000;
+    if (realtime) {
+      const waitMs = arrivalMs - (performance.now() - wallStart);
+      if (waitMs > 0) await sleep(waitMs);
+    }
+
+    const start = strategy === 'sliding' ? Math.max(0, end - windowSamples) : 0;
+    const windowStartSec = start / sampleRate;
+    const t0 = performance.now();
+    const result = await model.transcribe(pcm.subarray(start, end), sampleRate, {
+      ...transcribeOptions,
+      returnTimestamps: true,
+      timeOffset: windowStartSec,
+    });
+    const latencyMs = performance.now() - t0;
+
+    const windowWords = (result.words || []).map((word) => ({ ...word }));
+    const kept = strategy === 'sliding'
+      ? words.filter((word) => Number.isFinite(word.end_time) && word.end_time <= windowStartSec)
+      : [];
+    const nextWords = [...kept, ...windowWords];
+    const nextText = strategy === 'sliding'
+      ? nextWords.map((word) => word.text).join(' ')
+      : (result.utterance_text || '');
+
+    revisions += countRevisions(text, nextText, normalize);
+    words = nextWords;
+    text = nextText;
+
+    const chunkMs = ((end - previousEnd) / sampleRate) * 1000;
+    previousEnd = end;
+    const startMs = Math.max(arrivalMs, simClockMs);
+    simClockMs = startMs + latencyMs;
+    maxLagMs = Math.max(maxLagMs, simClockMs - arrivalMs);
+    chunkLatencies.push(latencyMs);
+    chunkLoads.push(latencyMs / chunkMs);
+    chunkMetrics.push(result.metrics || null);
+
+    if (firstTokenLatencyMs === null && tokenizeWords(text, normalize).length) {
+      const firstWordSec = Number.isFinite(words[0]?.start_time) ? words[0].start_time : 0;
+      firstTokenLatencyMs = simClockMs - firstWordSec * 1000;
+    }
+
+    if (end >= pcm.length) break;
+  }
+
+  const finalWords = tokenizeWords(text, normalize).length;
+  return {
+    text,
+    words,
+    metrics: sumStageMetrics(chunkMetrics, audioDurationSec),
+    streaming: {
+      chunkCount: chunkLatencies.length,
+      chunkLatencies,
+      chunkLatencyMean: chunkLatencies.length ? mean(chunkLatencies) : null,
+      chunkLatencyP90: chunkLatencies.length ? percentile(chunkLatencies, 90) : null,
+      firstTokenLatencyMs,
+      maxLagMs,
+      // 1 - mean(processing time / chunk duration): 0.4 means 40% of each chunk interval is idle.
+      realtimeHeadroom: chunkLoads.length ? 1 - mean(chunkLoads) : null,
+      peakChunkLoad: chunkLoads.length ? Math.max(...chunkLoads) : null,
+      revisionRate: finalWords ? revisions / finalWords : null,
+    },
+  };
+}
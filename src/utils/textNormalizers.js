@@ -0,0 +1,244 @@
+import { normalizeText } from './benchmarkStats';
+import { foldText, resolveTextOptions, stripDiacritics } from './unicodeText';
+
+export const DEFAULT_NORMALIZER = 'basic';
+
+const FILLER_WORDS = new Set(['hmm', 'mhm', 'mmm', 'uh', 'um', 'er', 'ah', 'eh', 'huh']);
+
+const CONTRACTIONS = [
+  [/\bwon't\b/g, 'will not'],
+  [/\bcan't\b/g, 'can not'],
+  [/\blet's\b/g, 'let us'],
+  [/\bain't\b/g, 'is not'],
+  [/\by'all\b/g, 'you all'],
+  [/n't\b/g, ' not'],
+  [/'re\b/g, ' are'],
+  [/'d\b/g, ' would'],
+  [/'ll\b/g, ' will'],
+  [/'ve\b/g, ' have'],
+  [/'m\b/g, ' am'],
+];
+
+// Whisper ships a ~1700-entry British->American table; these cover what shows up in dictation.
+const SPELLINGS = {
+  analyse: 'analyze',
+  analysed: 'analyzed',
+  centre: 'center',
+  centres: 'centers',
+  colour: 'color',
+  favour: 'favor',
+  haemorrhage: 'hemorrhage',
+  haematoma: 'hematoma',
+  oedema: 'edema',
+  oesophagus: 'esophagus',
+  oesophageal: 'esophageal',
+  paediatric: 'pediatric',
+  anaemia: 'anemia',
+  tumour: 'tumor',
+  tumours: 'tumors',
+  litre: 'liter',
+  litres: 'liters',
+  metre: 'meter',
+  metres: 'meters',
+  grey: 'gray',
+  organisation: 'organization',
+  realise: 'realize',
+  realised: 'realized',
+  recognise: 'recognize',
+  recognised: 'recognized',
+  behaviour: 'behavior',
+  labour: 'labor',
+  programme: 'program',
+};
+
+const UNITS = {
+  millimeter: 'mm',
+  millimeters: 'mm',
+  millimetre: 'mm',
+  millimetres: 'mm',
+  centimeter: 'cm',
+  centimeters: 'cm',
+  centimetre: 'cm',
+  centimetres: 'cm',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  milligram: 'mg',
+  milligrams: 'mg',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  millilitre: 'ml',
+  millilitres: 'ml',
+  percent: '%',
+};
+
+const ONES = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+const SCALES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+function isNumberWord(word) {
+  return word in ONES || word in TENS || word === 'hundred' || word in SCALES;
+}
+
+/**
+ * Collapse spelled-out numbers into digits ("twenty five point two" -> "25.2").
+ * Works on an already lowercased, punctuation-free word list. A scale word
+ * with no number before it counts as one of it, and swallows a leading "a":
+ * "a hundred" -> "100", "thousand" -> "1000", "hundred and five" -> "105".
+ * Zero is a digit, not a number word to add up: a run of single digits that
+ * holds one stays a digit string ("zero zero seven" -> "007", "room zero
+ * nine" -> "room 09", "one zero one" -> "101"), and after a larger number it
+ * starts a new one ("twenty zero" -> "20 0").
+ */
+function wordsToDigits(words) {
+  const out = [];
+  let i = 0;
+
+  while (i < words.length) {
+    if (!isNumberWord(words[i])) {
+      out.push(words[i]);
+      i += 1;
+      continue;
+    }
+
+    let j = i;
+    let text;
+    const isDigit = (word) => word in ONES && ONES[word] < 10;
+    let runEnd = i;
+    while (runEnd < words.length && isDigit(words[runEnd])) runEnd += 1;
+    if (words.slice(i, runEnd).includes('zero')) {
+      // "zero" never adds to a number; codes read digit by digit keep every digit.
+      text = words.slice(i, runEnd).map((word) => ONES[word]).join('');
+      j = runEnd;
+    } else {
+      let total = 0;
+      let current = 0;
+      let lastWasTens = false;
+      while (j < words.length) {
+        const word = words[j];
+        const low = current % 100;
+        if (word in ONES && word !== 'zero' && (low === 0 || (lastWasTens && ONES[word] < 10))) {
+          current += ONES[word];
+          lastWasTens = false;
+        } else if (word in TENS && low === 0) {
+          current += TENS[word];
+          lastWasTens = true;
+        } else if (word === 'hundred' && ((current > 0 && current < 100) || j === i)) {
+          current = (current || 1) * 100;
+          lastWasTens = false;
+        } else if (word in SCALES && (current > 0 || j === i)) {
+          total += (current || 1) * SCALES[word];
+          current = 0;
+          lastWasTens = false;
+        } else if (word === 'and' && (words[j - 1] === 'hundred' || words[j - 1] in SCALES)
+          && j + 1 < words.length && ((words[j + 1] in ONES && words[j + 1] !== 'zero') || words[j + 1] in TENS)) {
+          // "one hundred and five"
+        } else {
+          break;
+        }
+        j += 1;
+      }
+      if (j === i) {
+        // Nothing parsed (a scale word that cannot start here); keep it as a word.
+        out.push(words[i]);
+        i += 1;
+        continue;
+      }
+      if (out[out.length - 1] === 'a' && (words[i] === 'hundred' || words[i] in SCALES)) out.pop();
+      text = String(total + current);
+    }
+
+    if (words[j] === 'point' && j + 1 < words.length && words[j + 1] in ONES && ONES[words[j + 1]] < 10) {
+      const decimals = [];
+      j += 1;
+      while (j < words.length && words[j] in ONES && ONES[words[j]] < 10) {
+        decimals.push(ONES[words[j]]);
+        j += 1;
+      }
+      text = `${text}.${decimals.join('')}`;
+    }
+
+    out.push(text);
+    i = j;
+  }
+
+  return out;
+}
+
+function canonicalize(value, options) {
+  const resolved = resolveTextOptions(options);
+  const text = String(value || '').normalize(resolved.unicodeForm);
+  return resolved.stripDiacritics ? stripDiacritics(text, resolved.language) : text;
+}
+
+function normalizeRaw(value, options) {
+  return canonicalize(value, options).replace(/\s+/g, ' ').trim();
+}
+
+function normalizePunctuation(value, options) {
+  return canonicalize(value, options)
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeEnglish(value, options) {
+  let text = foldText(value, { ...options, language: options?.language || 'en' });
+  text = text
+    .replace(/[[<][^\]>]*[\]>]/g, ' ')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[‘’]/g, '\'');
+  CONTRACTIONS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+  text = text
+    .replace(/(\d),(\d)/g, '$1$2')
+    .replace(/(\d)\.(\d)/g, '$1\u0000$2')
+    .replace(/%/g, ' % ')
+    .replace(/[^\p{L}\p{M}\p{N}%\u0000\s]/gu, ' ')
+    .replace(/\u0000/g, '.');
+
+  const words = text.split(/\s+/).filter(Boolean)
+    .filter((word) => !FILLER_WORDS.has(word))
+    .map((word) => SPELLINGS[word] || word);
+
+  return wordsToDigits(words)
+    .map((word) => UNITS[word] || word)
+    .join(' ')
+    .replace(/(\d) %/g, '$1%')
+    .trim();
+}
+
+export const TEXT_NORMALIZERS = [
+  {
+    key: 'basic',
+    label: 'Basic (lowercase, letters + digits)',
+    normalize: normalizeText,
+  },
+  {
+    key: 'english',
+    label: 'English ASR (Whisper-style)',
+    normalize: normalizeEnglish,
+  },
+  {
+    key: 'punctuation',
+    label: 'Punctuation-insensitive',
+    normalize: normalizePunctuation,
+  },
+  {
+    key: 'raw',
+    label: 'Raw (whitespace only)',
+    normalize: normalizeRaw,
+  },
+];
+
+export function getTextNormalizer(key, options) {
+  const entry = TEXT_NORMALIZERS.find((item) => item.key === key)
+    || TEXT_NORMALIZERS.find((item) => item.key === DEFAULT_NORMALIZER);
+  return (value) => entry.normalize(value, options);
+}
@@ -0,0 +1,86 @@
+import { mean, percentile } from './benchmarkStats';
+
+export const MAX_THROUGHPUT_INSTANCES = 8;
+export const MAX_THROUGHPUT_CONCURRENCY = 32;
+
+/**
+ * Closed-loop load generator: `concurrency` clients each take the next request
+ * from a shared list, submit it and wait for the answer before taking another.
+ * Every instance runs one request at a time (a parakeet.js model keeps decoder
+ * state on the instance, so calls on one model must not overlap); a request is
+ * routed to the instance with the fewest queued requests and waits its turn.
+ *
+ * `execute(request, instance, instanceIndex)` does the work. Times are
+ * milliseconds relative to the start of the batch.
+ */
+export async function runClosedLoop({ requests, instances, concurrency, execute, shouldStop = () => false, onSettled }) {
+  const origin = performance.now();
+  const lanes = instances.map((instance, index) => ({ instance, index, tail: Promise.resolve(), queued: 0 }));
+  const results = [];
+  let cursor = 0;
+
+  function submit(request) {
+    const lane = lanes.reduce((best, item) => (item.queued < best.queued ? item : best), lanes[0]);
+    const enqueuedMs = performance.now() - origin;
+    lane.queued += 1;
+    const job = lane.tail.then(async () => {
+      const startMs = performance.now() - origin;
+      try {
+        const value = await execute(request, lane.instance, lane.index);
+        return { request, value, error: null, instanceIndex: lane.index, enqueuedMs, startMs, endMs: performance.now() - origin };
+      } catch (error) {
+        return { request, value: null, error, instanceIndex: lane.index, enqueuedMs, startMs, endMs: performance.now() - origin };
+      } finally {
+        lane.queued -= 1;
+      }
+    });
+    lane.tail = job;
+    return job;
+  }
+
+  async function client() {
+    while (cursor < requests.length && !shouldStop()) {
+      const request = requests[cursor];
+      cursor += 1;
+      const settled = await submit(request);
+      results.push(settled);
+      onSettled?.(results.length, requests.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, client));
+  return results;
+}
+
+/**
+ * Batch-level load figures for throughput runs. Each batch is one concurrency
+ * level, so throughput is the audio it processed over its own wall span.
+ */
+export function summarizeThroughput(runs) {
+  const batches = new Map();
+  (runs || []).forEach((run) => {
+    if (run?.benchmarkMode !== 'throughput' || !Number.isFinite(run.latencyMs)) return;
+    if (!batches.has(run.batchId)) batches.set(run.batchId, []);
+    batches.get(run.batchId).push(run);
+  });
+  if (!batches.size) return null;
+
+  const perBatch = Array.from(batches.values()).map((items) => {
+    const spanMs = Math.max(...items.map((r) => r.batchEndMs).filter(Number.isFinite));
+    const audioSec = items.reduce((acc, r) => acc + (Number.isFinite(r.audioDurationSec) ? r.audioDurationSec : 0), 0);
+    return spanMs > 0 ? { audioPerWallSec: audioSec / (spanMs / 1000), requestsPerSec: items.length / (spanMs / 1000) } : null;
+  }).filter(Boolean);
+
+  const all = Array.from(batches.values()).flat();
+  const latencies = all.map((r) => r.latencyMs);
+  const queues = all.map((r) => r.queueMs).filter(Number.isFinite);
+  return {
+    audioPerWallSec: perBatch.length ? mean(perBatch.map((b) => b.audioPerWallSec)) : null,
+    requestsPerSec: perBatch.length ? mean(perBatch.map((b) => b.requestsPerSec)) : null,
+    latencyP50: percentile(latencies, 50),
+    latencyP90: percentile(latencies, 90),
+    latencyP99: percentile(latencies, 99),
+    queueMean: queues.length ? mean(queues) : null,
+    queueP90: queues.length ? percentile(queues, 90) : null,
+  };
+}
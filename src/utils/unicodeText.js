@@ -0,0 +1,79 @@
+export const UNICODE_FORMS = ['NFKC', 'NFC'];
+
+// Letters that do not decompose under NFD, so stripping combining marks leaves them intact.
+const BASE_FOLDING = {
+  'ß': 'ss',
+  'ł': 'l',
+  'đ': 'd',
+  'ø': 'o',
+  'æ': 'ae',
+  'œ': 'oe',
+  'ı': 'i',
+};
+
+// Orthographic conventions when diacritics are dropped ("Müller" is written "Mueller").
+const LANGUAGE_FOLDING = {
+  de: { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue' },
+};
+
+/**
+ * Per-language defaults. Diacritics are kept everywhere: in French, Polish and
+ * Portuguese they distinguish words ("à"/"a", "się"/"sie"), so dropping them
+ * would hide real recognition errors.
+ */
+export const LANGUAGE_TEXT_OPTIONS = {
+  en: { locale: 'en', stripDiacritics: false },
+  fr: { locale: 'fr', stripDiacritics: false },
+  de: { locale: 'de', stripDiacritics: false },
+  es: { locale: 'es', stripDiacritics: false },
+  it: { locale: 'it', stripDiacritics: false },
+  pt: { locale: 'pt', stripDiacritics: false },
+  nl: { locale: 'nl', stripDiacritics: false },
+  pl: { locale: 'pl', stripDiacritics: false },
+};
+
+export function resolveTextOptions(options = {}) {
+  const language = options.language || '';
+  const defaults = LANGUAGE_TEXT_OPTIONS[language] || { locale: undefined, stripDiacritics: false };
+  return {
+    language,
+    locale: defaults.locale,
+    stripDiacritics: options.stripDiacritics ?? defaults.stripDiacritics,
+    unicodeForm: UNICODE_FORMS.includes(options.unicodeForm) ? options.unicodeForm : 'NFKC',
+  };
+}
+
+function safeLowerCase(text, locale) {
+  try {
+    return text.toLocaleLowerCase(locale);
+  } catch {
+    return text.toLowerCase();
+  }
+}
+
+export function stripDiacritics(text, language = '') {
+  const folding = { ...BASE_FOLDING, ...(LANGUAGE_FOLDING[language] || {}) };
+  let out = '';
+  // Apply language folding on composed text first so "ü" -> "ue" wins over "ü" -> "u".
+  for (const char of text.normalize('NFC')) {
+    const lower = char.toLowerCase();
+    const mapped = folding[lower];
+    if (mapped === undefined) out += char;
+    else out += char === lower ? mapped : mapped.toUpperCase();
+  }
+  return out.normalize('NFD').replace(/\p{M}+/gu, '').normalize('NFC');
+}
+
+/**
+ * Canonical Unicode form plus locale-aware lowercasing. Keeps every script's
+ * letters and digits; callers decide which punctuation to drop.
+ */
+export function foldText(value, options = {}) {
+  const resolved = resolveTextOptions(options);
+  let text = String(value || '').normalize(resolved.unicodeForm);
+  text = safeLowerCase(text, resolved.locale);
+  if (resolved.stripDiacritics) {
+    text = stripDiacritics(text, resolved.language);
+  }
+  return text;
+}
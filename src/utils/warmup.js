@@ -0,0 +1,60 @@
+import { mean, stddev } from './benchmarkStats';
+
+export const WARMUP_MODES = [
+  { key: 'fixed', label: 'Fixed count' },
+  { key: 'adaptive', label: 'Until timings stabilize' },
+];
+
+export function coefficientOfVariation(values) {
+  const avg = mean(values);
+  return avg > 0 ? stddev(values) / avg : null;
+}
+
+/**
+ * Run warmup passes, timing each one for the convergence record. Fixed mode
+ * runs exactly `count` passes. Adaptive mode stops as soon as the last
+ * `window` passes have a coefficient of variation under `cvThreshold`, or
+ * after `maxCount` passes, whichever comes first; the first WebGPU pass pays
+ * for shader compilation, so one pass is rarely representative on its own.
+ *
+ * `cvs[i]` is the CV of the window ending at pass i (null until the window is
+ * full). `converged` is null in fixed mode, where nothing is tested.
+ */
+export async function runWarmups(pass, {
+  mode = 'fixed',
+  count = 1,
+  window = 3,
+  cvThreshold = 0.05,
+  maxCount = 10,
+  shouldStop = () => false,
+  onPass,
+} = {}) {
+  const adaptive = mode === 'adaptive';
+  const limit = adaptive ? maxCount : count;
+  const size = Math.max(2, window);
+  const timings = [];
+  const cvs = [];
+  let converged = false;
+
+  while (timings.length < limit && !shouldStop()) {
+    onPass?.(timings.length + 1, limit);
+    const startedAt = performance.now();
+    await pass();
+    timings.push(performance.now() - startedAt);
+    const cv = timings.length >= size ? coefficientOfVariation(timings.slice(-size)) : null;
+    cvs.push(cv);
+    if (adaptive && cv !== null && cv < cvThreshold) {
+      converged = true;
+      break;
+    }
+  }
+
+  return {
+    mode,
+    count: timings.length,
+    timings,
+    cvs,
+    converged: adaptive ? converged : null,
+    finalCv: cvs.length ? cvs[cvs.length - 1] : null,
+  };
+}
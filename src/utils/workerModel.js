@@ -0,0 +1,60 @@
+/**
+ * Main-thread handle for the benchmark worker. Exposes the same `transcribe`
+ * signature as ParakeetModel so the runner can use either interchangeably.
+ */
+export function createWorkerModel() {
+  const worker = new Worker(new URL('../workers/benchmarkWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+  let crashError = null;
+
+  worker.onmessage = (event) => {
+    const { id, type, data, error } = event.data || {};
+    const entry = pending.get(id);
+    if (!entry) return;
+    if (type === 'progress') {
+      entry.onProgress?.(data);
+      return;
+    }
+    pending.delete(id);
+    if (type === 'error') entry.reject(new Error(error));
+    else entry.resolve(data);
+  };
+
+  worker.onerror = (event) => {
+    crashError = new Error(event?.message || 'Benchmark worker crashed');
+    pending.forEach((entry) => entry.reject(crashError));
+    pending.clear();
+  };
+
+  function call(type, payload, { transfer = [], onProgress } = {}) {
+    if (crashError) return Promise.reject(crashError);
+    const id = nextId;
+    nextId += 1;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  // The caller keeps its PCM cached, so send a copy and transfer that instead.
+  function withPcm(type, pcm, extra) {
+    const copy = pcm.slice();
+    return call(type, { pcm: copy, ...extra }, { transfer: [copy.buffer] });
+  }
+
+  return {
+    isWorker: true,
+    load: (modelKey, options, onProgress) => call('load', { modelKey, options }, { onProgress }),
+    verify: (pcm, sampleRate) => withPcm('verify', pcm, { sampleRate }),
+    transcribe: (pcm, sampleRate, options) => withPcm('transcribe', pcm, { sampleRate, options }),
+    memory: () => call('memory'),
+    async release() {
+      try {
+        await call('release');
+      } finally {
+        worker.terminate();
+      }
+    },
+  };
+}
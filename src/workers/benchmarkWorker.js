@@ -0,0 +1,98 @@
+import { loadParakeetWithMetrics } from '../utils/loadMetrics';
+import { gpuBufferBytes, installGpuBufferTracker } from '../utils/memoryTelemetry';
+
+/*
+ * Benchmark worker. Owns the model so transcription timings are not mixed with
+ * React renders and Chart.js redraws on the main thread.
+ *
+ * Protocol: the main thread posts { id, type, payload } with type one of
+ * load | verify | transcribe | memory | release. The worker answers with
+ * { id, type: 'result', data }, { id, type: 'error', error }, or any number of
+ * { id, type: 'progress', data } messages before the final answer.
+ *
+ * Audio is decoded on the main thread (Web Audio is not exposed to workers) and
+ * arrives here as transferred PCM.
+ */
+
+let model = null;
+
+// WebGPU sessions created in this worker allocate from this realm's GPUDevice.
+installGpuBufferTracker();
+
+async function releaseModel() {
+  const current = model;
+  model = null;
+  if (!current) return;
+  try { current.stopProfiling?.(); } catch { }
+  const releasables = [
+    current.encoderSession,
+    current.joinerSession,
+    current.onnxPreprocessor?.session,
+  ];
+  await Promise.all(releasables.map(async (session) => {
+    if (!session) return;
+    try {
+      if (typeof session.release === 'function') {
+        await session.release();
+      } else if (typeof session.dispose === 'function') {
+        session.dispose();
+      }
+    } catch { }
+  }));
+}
+
+async function load({ modelKey, options }, progress) {
+  await releaseModel();
+  const result = await loadParakeetWithMetrics(modelKey, options, ({ file, loaded, total }) => progress({ file, loaded, total }));
+  model = result.model;
+  const { hub } = result;
+  return {
+    quantisation: hub.quantisation || null,
+    filenames: hub.filenames || null,
+    preprocessorBackend: hub.preprocessorBackend,
+    loadMetrics: result.loadMetrics,
+  };
+}
+
+function requireModel() {
+  if (!model) throw new Error('Worker has no model loaded');
+  return model;
+}
+
+async function verify({ pcm, sampleRate }) {
+  const result = await requireModel().transcribe(pcm, sampleRate, {
+    enableProfiling: false,
+    returnConfidences: false,
+    returnTimestamps: false,
+  });
+  return { utterance_text: result?.utterance_text || '' };
+}
+
+async function transcribe({ pcm, sampleRate, options }) {
+  const startedAt = performance.now();
+  const result = await requireModel().transcribe(pcm, sampleRate, options);
+  return { ...result, workerMs: performance.now() - startedAt };
+}
+
+const HANDLERS = {
+  load,
+  verify,
+  transcribe,
+  memory: () => ({ gpuBytes: gpuBufferBytes() }),
+  release: releaseModel,
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data || {};
+  const handler = HANDLERS[type];
+  if (!handler) {
+    self.postMessage({ id, type: 'error', error: `Unknown message type: ${type}` });
+    return;
+  }
+  try {
+    const data = await handler(payload || {}, (progress) => self.postMessage({ id, type: 'progress', data: progress }));
+    self.postMessage({ id, type: 'result', data: data ?? null });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error?.message || String(error) });
+  }
+};
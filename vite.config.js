@@ -42,6 +42,10 @@ if (!parakeetVersion) {
 
 export default defineConfig({
   plugins: [react()],
+  worker: {
+    // parakeet.js loads onnxruntime-web with a dynamic import, which iife workers cannot split.
+    format: 'es',
+  },
   server: {
     port: 3000,
     headers: {